@@ -2,24 +2,55 @@ import express from "express";
 import cors from "cors";
 
 import chatRoute from "./src/routes/chat.js";
+import conversationsRoute from "./src/routes/conversations.js";
+import servicesRoute from "./src/routes/services.js";
 import adminServicesRoute from "./src/routes/admin/services.js";
 import adminDocumentsRoute from "./src/routes/admin/documents.js";
+import adminLogsRoute from "./src/routes/admin/logs.js";
+import adminQuotasRoute from "./src/routes/admin/quotas.js";
+import adminAskRoute from "./src/routes/admin/ask.js";
+import adminAuditRoute from "./src/routes/admin/audit.js";
+import adminBulkRoute, { IMPORT_BODY_LIMIT } from "./src/routes/admin/bulk.js";
+import uploadRoute from "./src/routes/upload.js";
 import testBackendRoute from "./src/routes/test/testBackend.js";
 import testDBRoute from "./src/routes/test/testDB.js";
 
 import { config } from "./src/config.js";
-import { validateStorageConfig } from "./src/utils/validateEnv.js";
+import {
+  validateStorageConfig,
+  validateAuthConfig,
+  validateOcrConfig
+} from "./src/utils/validateEnv.js";
+import { BUNDLED_OCR_LANGUAGE } from "./src/services/ocr.js";
+import { authenticate } from "./src/middleware/auth.js";
+import { adminAudit } from "./src/middleware/adminAudit.js";
+import { resumePendingIngestion } from "./src/services/ingestion.js";
 
 validateStorageConfig(config);
+validateAuthConfig(config);
+validateOcrConfig(config, BUNDLED_OCR_LANGUAGE);
 
 const app = express();
 app.use(cors());
+// Parsed ahead of the global 100kb parser, which would otherwise reject large imports
+app.use("/api/admin/bulk/import", express.json({ limit: IMPORT_BODY_LIMIT }));
 app.use(express.json());
 
 // Routes
-app.use("/api/chat", chatRoute);
+app.use("/api/chat/conversations", authenticate, conversationsRoute);
+app.use("/api/chat", authenticate, chatRoute);
+app.use("/api/services", authenticate, servicesRoute);
+
+// Every authenticated mutating admin call is written to admin.audit_log
+app.use("/api/admin", authenticate, adminAudit);
 app.use("/api/admin/services", adminServicesRoute);
 app.use("/api/admin/documents", adminDocumentsRoute);
+app.use("/api/admin/logs", adminLogsRoute);
+app.use("/api/admin/quotas", adminQuotasRoute);
+app.use("/api/admin/ask", adminAskRoute);
+app.use("/api/admin/audit", adminAuditRoute);
+app.use("/api/admin/bulk", adminBulkRoute);
+app.use("/api/upload", authenticate, adminAudit, uploadRoute);
 app.use("/api/test-backend", testBackendRoute);
 app.use("/api/test-db", testDBRoute);
 
@@ -28,4 +59,8 @@ const PORT = config.server.port;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  resumePendingIngestion().catch(err =>
+    console.error("❌ Could not resume pending ingestion:", err.message)
+  );
 });
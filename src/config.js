@@ -1,6 +1,17 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+import { useManagedIdentity } from "./utils/azureIdentity.js";
+
+const searchBackend = process.env.SEARCH_BACKEND || "azure";
+const llmProvider = process.env.LLM_PROVIDER || "azure";
+const openaiUseMI = useManagedIdentity("AZURE_OPENAI_USE_MI");
+
+// DB_AUTH (sql | managed_identity) is the older spelling of DB_USE_MI
+const sqlUseMI = process.env.DB_AUTH && !process.env.DB_USE_MI
+  ? process.env.DB_AUTH === "managed_identity"
+  : useManagedIdentity("DB_USE_MI");
+
 function required(name) {
   if (!process.env[name] || process.env[name].trim() === "") {
     console.error(`❌ Missing required environment variable: ${name}`);
@@ -9,6 +20,26 @@ function required(name) {
   return process.env[name];
 }
 
+// Optional JSON object variable; exits with the variable name when malformed
+function jsonObject(name) {
+  const raw = process.env[name];
+  if (!raw || raw.trim() === "") return {};
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (err) {
+    console.error(`❌ ${name} is not valid JSON: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    console.error(`❌ ${name} must be a JSON object`);
+    process.exit(1);
+  }
+  return value;
+}
+
 export const config = {
   server: {
     port: process.env.PORT || 5000,
@@ -25,23 +56,94 @@ export const config = {
     user: process.env.DB_USER,
     pass: process.env.DB_PASS,
     encrypt: process.env.DB_ENCRYPT === "true",
-    auth: process.env.DB_AUTH, // "sql" | "managed_identity"
+    useMI: sqlUseMI, // DB_USE_MI
+  },
+
+  auth: {
+    mode: process.env.AUTH_MODE || "jwt", // "jwt" | "none" (local dev only)
+    jwksUri: process.env.AUTH_JWKS_URI || null,
+    secret: process.env.AUTH_JWT_SECRET || null,
+    issuer: process.env.AUTH_ISSUER || undefined,
+    audience: process.env.AUTH_AUDIENCE || undefined,
+    rolesClaim: process.env.AUTH_ROLES_CLAIM || "roles",
+    // JSON map of token role values → app roles, e.g. {"KBChat.Admin":"admin"}
+    roleMap: jsonObject("AUTH_ROLE_MAP"),
+    devUser: process.env.AUTH_DEV_USER || "dev-user",
   },
 
   search: {
-    endpoint: required("SEARCH_ENDPOINT"),
-    index: required("SEARCH_INDEX"),
-    key: required("SEARCH_API_KEY"),
+    backend: searchBackend, // "azure" | "memory"
+    endpoint: searchBackend === "azure" ? required("SEARCH_ENDPOINT") : process.env.SEARCH_ENDPOINT,
+    index: searchBackend === "azure" ? required("SEARCH_INDEX") : process.env.SEARCH_INDEX,
+    key: searchBackend === "azure" ? required("SEARCH_API_KEY") : process.env.SEARCH_API_KEY,
+    topK: Number(process.env.SEARCH_TOP_K) || 8,
+    vectorDimensions: Number(process.env.SEARCH_VECTOR_DIMENSIONS) || 1536,
+  },
+
+  llm: {
+    provider: llmProvider, // "azure" | "openai" | "mock"
   },
 
+  // Azure OpenAI (LLM_PROVIDER=azure)
   openai: {
-    endpoint: required("AZURE_OPENAI_ENDPOINT"),
-    key: required("AZURE_OPENAI_KEY"),
-    deployment: required("AZURE_OPENAI_DEPLOYMENT"),
+    endpoint: llmProvider === "azure" ? required("AZURE_OPENAI_ENDPOINT") : process.env.AZURE_OPENAI_ENDPOINT,
+    useMI: openaiUseMI,
+    key: llmProvider === "azure" && !openaiUseMI ? required("AZURE_OPENAI_KEY") : process.env.AZURE_OPENAI_KEY,
+    deployment: llmProvider === "azure" ? required("AZURE_OPENAI_DEPLOYMENT") : process.env.AZURE_OPENAI_DEPLOYMENT,
+    embeddingDeployment: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || null,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-12-01-preview",
+  },
+
+  // OpenAI or any OpenAI-compatible API (LLM_PROVIDER=openai)
+  openaiCompatible: {
+    apiKey: llmProvider === "openai" ? required("OPENAI_API_KEY") : process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL || undefined,
+    model: llmProvider === "openai" ? required("OPENAI_MODEL") : process.env.OPENAI_MODEL,
+    embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || null,
+  },
+
+  pricing: {
+    // JSON map of model/deployment → price per 1M tokens,
+    // e.g. {"gpt-4.1-mini":{"prompt":0.4,"completion":1.6}}
+    models: jsonObject("MODEL_PRICING"),
+    currency: process.env.MODEL_PRICING_CURRENCY || "USD",
+  },
+
+  retrieval: {
+    chunkChars: Number(process.env.RETRIEVAL_CHUNK_CHARS) || 1200,
+    chunkOverlap: Number(process.env.RETRIEVAL_CHUNK_OVERLAP) || 200,
+    contextTokens: Number(process.env.RETRIEVAL_CONTEXT_TOKENS) || 3000,
+  },
+
+  conversation: {
+    historyTokens: Number(process.env.CHAT_HISTORY_TOKENS) || 1500,
+    historyTurns: Number(process.env.CHAT_HISTORY_TURNS) || 10,
+  },
+
+  // 0 disables a limit
+  quota: {
+    store: process.env.QUOTA_STORE || "memory", // "memory" | "sql" (shared across instances)
+    userRequestsPerMinute: Number(process.env.QUOTA_USER_REQUESTS_PER_MINUTE ?? 10),
+    serviceRequestsPerMinute: Number(process.env.QUOTA_SERVICE_REQUESTS_PER_MINUTE ?? 120),
+    userDailyTokens: Number(process.env.QUOTA_USER_DAILY_TOKENS ?? 200000),
+    serviceDailyTokens: Number(process.env.QUOTA_SERVICE_DAILY_TOKENS ?? 0),
+  },
+
+  ocr: {
+    enabled: process.env.OCR_ENABLED !== "false",
+    language: process.env.OCR_LANGUAGE || "eng",
+    // Folder / URL with <lang>.traineddata.gz (English is bundled; required for other languages)
+    langPath: process.env.OCR_LANG_PATH || null,
+    cachePath: process.env.OCR_CACHE_PATH || null,
+    renderScale: Number(process.env.OCR_RENDER_SCALE) || 2,
+  },
+
+  upload: {
+    maxBytes: (Number(process.env.UPLOAD_MAX_MB) || 50) * 1024 * 1024,
   },
 
   storage: {
-    useMI: process.env.AZURE_STORAGE_USE_MI === "true",
+    useMI: useManagedIdentity("AZURE_STORAGE_USE_MI"),
     connectionString: process.env.AZURE_STORAGE_CONNECTION_STRING,
     account: required("AZURE_STORAGE_ACCOUNT"),
     container: required("AZURE_STORAGE_CONTAINER"),
@@ -1,14 +1,22 @@
 import sql from "mssql";
 import { config } from "./config.js";
+import { getAccessToken, AZURE_SCOPES } from "./utils/azureIdentity.js";
+
+const useMI = config.sql.useMI;
 
 let pool;
+let poolToken = null;
+let connecting = null;
 
 // Build config based on environment
-function getDbConfig() {
-  // ✅ PRIORITY 1 — Azure Managed Identity (App Service)
-  if (config.sql.auth === "managed_identity") {
+async function getDbConfig() {
+  // ✅ PRIORITY 1 — Azure Managed Identity (shared, cached credential)
+  if (useMI) {
     console.log("🟩 Using Azure Managed Identity for SQL");
 
+    const token = await getAccessToken(AZURE_SCOPES.sql);
+    poolToken = token.token;
+
     return {
       server: config.sql.server,
       database: config.sql.name,
@@ -16,7 +24,8 @@ function getDbConfig() {
         encrypt: true
       },
       authentication: {
-        type: "azure-active-directory-default"
+        type: "azure-active-directory-access-token",
+        options: { token: token.token }
       },
       pool: {
         max: 10,
@@ -52,29 +61,98 @@ function getDbConfig() {
   };
 }
 
+// New pool connections log in with the pool's token, so swap the pool
+// once the shared credential has renewed it (open connections stay valid)
+async function needsNewPool() {
+  if (!pool) return true;
+  if (!useMI) return false;
+
+  const token = await getAccessToken(AZURE_SCOPES.sql);
+  return token.token !== poolToken;
+}
+
+async function connect() {
+  const previous = pool;
+  const dbConfig = await getDbConfig();
+
+  pool = await new sql.ConnectionPool(dbConfig).connect();
+  console.log("✔ Connected to SQL database");
+
+  if (previous) {
+    console.log("🔄 SQL access token renewed — retiring previous pool");
+    // Let in-flight queries on the old pool finish
+    setTimeout(() => previous.close().catch(() => {}), 60 * 1000).unref();
+  }
+
+  return pool;
+}
+
+async function getPool() {
+  if (!(await needsNewPool())) {
+    return pool;
+  }
+
+  // Concurrent callers share one connect
+  if (!connecting) {
+    connecting = connect().finally(() => {
+      connecting = null;
+    });
+  }
+
+  return connecting;
+}
+
+// Bind `?` placeholders as @p0, @p1, ... and run on a pool or transaction request
+function runQuery(request, query, params) {
+  params.forEach((value, index) => {
+    request.input(`p${index}`, value);
+  });
+
+  let paramIndex = 0;
+  const sqlQuery = query.replace(/\?/g, () => `@p${paramIndex++}`);
+
+  return request.query(sqlQuery);
+}
+
 // Main query function
 export async function queryDb(query, params = []) {
   try {
-    if (!pool) {
-      const dbConfig = getDbConfig();
-      pool = await sql.connect(dbConfig);
-      console.log("✔ Connected to SQL database");
-    }
+    const activePool = await getPool();
 
-    const request = pool.request();
+    return await runQuery(activePool.request(), query, params);
 
-    // Prepare SQL parameters @p0, @p1, ...
-    params.forEach((value, index) => {
-      request.input(`p${index}`, value);
-    });
+  } catch (err) {
+    console.error("❌ Database query error:", err);
+    throw err;
+  }
+}
 
-    let paramIndex = 0;
-    const sqlQuery = query.replace(/\?/g, () => `@p${paramIndex++}`);
+/**
+ * Run `work(query)` in one transaction. `query` takes the same arguments as
+ * queryDb; calls must be awaited one after another. Commits when `work`
+ * resolves, rolls back when it throws.
+ */
+export async function withTransaction(work) {
+  const transaction = new sql.Transaction(await getPool());
+  await transaction.begin();
 
-    return await request.query(sqlQuery);
+  const query = async (text, params = []) => {
+    try {
+      return await runQuery(new sql.Request(transaction), text, params);
+    } catch (err) {
+      console.error("❌ Database query error:", err);
+      throw err;
+    }
+  };
 
+  try {
+    const result = await work(query);
+    await transaction.commit();
+    return result;
   } catch (err) {
-    console.error("❌ Database query error:", err);
+    await transaction.rollback().catch(rollbackErr =>
+      console.error("❌ Transaction rollback failed:", rollbackErr.message)
+    );
     throw err;
   }
 }
@@ -0,0 +1,82 @@
+// src/middleware/adminAudit.js
+
+import {
+  serializePayload,
+  outcomeOf,
+  recordAuditEntry
+} from "../services/auditLog.js";
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Ids returned by create endpoints, used when the URL has none
+const CREATED_ID_FIELDS = ["document_id", "service_id"];
+
+/**
+ * /api/admin/documents/12/history/3/restore → { resource: "documents", targetId: "12" }
+ * /api/upload → { resource: "upload", targetId: null }
+ */
+function describeRoute(path) {
+  const segments = path.split("/").filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  });
+  const rest = segments[1] === "admin" ? segments.slice(2) : segments.slice(1);
+
+  return { resource: rest[0] ?? null, targetId: rest[1] ?? null };
+}
+
+/**
+ * Writes every mutating admin request to admin.audit_log once the response
+ * is sent (runs after `authenticate`, so anonymous callers cannot write to
+ * the audit table). Audit failures are logged, never surfaced to the caller.
+ */
+export function adminAudit(req, res, next) {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const startedAt = Date.now();
+  const route = req.originalUrl.split("?")[0];
+  let responseBody = null;
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    responseBody = body;
+    return json(body);
+  };
+
+  let written = false;
+
+  const write = () => {
+    if (written) return;
+    written = true;
+
+    const { resource, targetId } = describeRoute(route);
+    const createdId = CREATED_ID_FIELDS
+      .map(field => responseBody?.[field])
+      .find(value => value != null);
+
+    recordAuditEntry({
+      actor: req.user?.username ?? null,
+      method: req.method,
+      route,
+      resource,
+      targetId: targetId ?? (createdId != null ? String(createdId) : null),
+      // multer fills req.body for uploads; the file itself is not stored
+      payload: serializePayload(req.body),
+      statusCode: res.statusCode,
+      outcome: outcomeOf(res.statusCode, res.writableFinished),
+      durationMs: Date.now() - startedAt
+    }).catch(err =>
+      console.error(`❌ Failed to write audit entry for ${req.method} ${route}:`, err.message)
+    );
+  };
+
+  res.on("finish", write);
+  res.on("close", write);
+
+  next();
+}
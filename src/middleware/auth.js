@@ -0,0 +1,123 @@
+// src/middleware/auth.js
+
+import { createRemoteJWKSet, jwtVerify } from "jose";
+import { config } from "../config.js";
+
+export const ROLES = {
+  ADMIN: "admin",
+  EDITOR: "editor",
+  CHAT_USER: "chat-user",
+};
+
+// Higher roles include everything the lower ones may do
+const ROLE_INCLUDES = {
+  [ROLES.ADMIN]: [ROLES.ADMIN, ROLES.EDITOR, ROLES.CHAT_USER],
+  [ROLES.EDITOR]: [ROLES.EDITOR, ROLES.CHAT_USER],
+  [ROLES.CHAT_USER]: [ROLES.CHAT_USER],
+};
+
+/* ---------------------------------------
+   Verification key — JWKS (Entra ID) or shared secret (local / tests)
+---------------------------------------- */
+let verificationKey;
+
+function getVerificationKey() {
+  if (!verificationKey) {
+    verificationKey = config.auth.jwksUri
+      ? createRemoteJWKSet(new URL(config.auth.jwksUri))
+      : new TextEncoder().encode(config.auth.secret);
+  }
+  return verificationKey;
+}
+
+/**
+ * Map token claims to app roles via AUTH_ROLE_MAP
+ * (values that already are app role names pass through)
+ */
+function mapRoles(payload) {
+  const raw = payload[config.auth.rolesClaim];
+  const claimRoles = Array.isArray(raw) ? raw : raw ? [raw] : [];
+
+  const roles = new Set();
+
+  for (const claimRole of claimRoles) {
+    const mapped = config.auth.roleMap[claimRole] ?? claimRole;
+
+    for (const role of ROLE_INCLUDES[mapped] ?? []) {
+      roles.add(role);
+    }
+  }
+
+  return [...roles];
+}
+
+function usernameFromClaims(payload) {
+  return (
+    payload.preferred_username ||
+    payload.upn ||
+    payload.email ||
+    payload.sub
+  );
+}
+
+/**
+ * Validate the bearer token and attach req.user = { username, roles, claims }
+ */
+export async function authenticate(req, res, next) {
+  if (config.auth.mode === "none") {
+    req.user = {
+      username: config.auth.devUser,
+      roles: ROLE_INCLUDES[ROLES.ADMIN],
+      claims: {}
+    };
+    return next();
+  }
+
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({ error: "Missing bearer token" });
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, getVerificationKey(), {
+      issuer: config.auth.issuer,
+      audience: config.auth.audience,
+    });
+
+    const username = usernameFromClaims(payload);
+
+    if (!username) {
+      return res.status(401).json({ error: "Token has no user identity claim" });
+    }
+
+    req.user = {
+      username,
+      roles: mapRoles(payload),
+      claims: payload
+    };
+
+    next();
+  } catch (err) {
+    console.warn("🔒 Token rejected:", err.code || err.message);
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    res.status(401).json({ error: "Invalid or expired token" });
+  }
+}
+
+/**
+ * Allow the request when the user holds any of the given roles
+ */
+export function requireRole(...allowed) {
+  return (req, res, next) => {
+    const roles = req.user?.roles ?? [];
+
+    if (!allowed.some(role => roles.includes(role))) {
+      return res.status(403).json({ error: "Insufficient role" });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,35 @@
+// src/middleware/chatQuota.js
+
+import { consumeRequest, QuotaExceededError } from "../services/quotaService.js";
+
+/**
+ * Per-user + per-service request limits and daily token quotas
+ * (runs after `authenticate`; limits come from config.quota)
+ */
+export async function chatQuota(req, res, next) {
+  const { service } = req.body;
+
+  // Missing service is reported by the route's own validation
+  if (!service) {
+    return next();
+  }
+
+  try {
+    await consumeRequest(req.user.username, service);
+    next();
+  } catch (err) {
+    if (err instanceof QuotaExceededError) {
+      const retryAfter = Math.max(Math.ceil((err.resetAt - Date.now()) / 1000), 1);
+
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: err.message,
+        retry_after_seconds: retryAfter
+      });
+    }
+
+    // A broken quota store should not take chat down with it
+    console.error("❌ Quota check failed, allowing request:", err.message);
+    next();
+  }
+}
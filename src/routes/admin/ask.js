@@ -0,0 +1,49 @@
+// src/routes/admin/ask.js
+
+import express from "express";
+import { requireRole, ROLES } from "../../middleware/auth.js";
+import { traceChat } from "../../services/chatTrace.js";
+import { HttpError } from "../../utils/httpError.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/admin/ask
+ * { service, submodule?, question, include_text? }
+ * Dry-run chat for tuning a service: returns the resolved service and
+ * documents, per-document extracted vs. prompt text, the final system prompt,
+ * the token estimate and the raw completion.
+ * Not logged to chat.logs and not counted against chat quotas.
+ */
+router.post("/", requireRole(ROLES.EDITOR), async (req, res) => {
+  const { service, submodule, question, include_text } = req.body;
+
+  if (!service || !question) {
+    return res.status(400).json({ error: "service and question are required" });
+  }
+
+  try {
+    console.log(`🧪 Dry-run ask for '${service}' by '${req.user.username}'`);
+
+    res.json(
+      await traceChat({
+        service,
+        submodule,
+        question,
+        includeText: include_text !== false
+      })
+    );
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+
+    console.error("❌ Dry-run ask error:", err);
+    res.status(500).json({
+      error: "Internal server error",
+      detail: err.message
+    });
+  }
+});
+
+export default router;
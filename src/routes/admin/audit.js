@@ -0,0 +1,122 @@
+// src/routes/admin/audit.js
+
+import express from "express";
+import { queryDb } from "../../db.js";
+import { requireRole, ROLES } from "../../middleware/auth.js";
+import { AUDIT_COLUMNS, buildAuditFilters } from "../../services/auditLog.js";
+import { toCsv } from "../../utils/csv.js";
+import { parsePagination } from "../../utils/queryFilters.js";
+import { HttpError } from "../../utils/httpError.js";
+
+const router = express.Router();
+
+router.use(requireRole(ROLES.ADMIN));
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 50000;
+
+// Truncated payloads are no longer valid JSON; return them as stored
+function parsePayload(text) {
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * GET /api/admin/audit
+ * Paginated audit trail of mutating admin calls, newest first
+ * ?actor&method&resource&target_id&outcome&status_code&from&to&q&page=1&page_size=50
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { where, params } = buildAuditFilters(req.query);
+
+    const { page, pageSize, offset } = parsePagination(req.query, MAX_PAGE_SIZE);
+
+    const total = await queryDb(
+      `
+      SELECT COUNT(*) AS total
+      FROM admin.audit_log a
+      WHERE ${where}
+      `,
+      params
+    );
+
+    const result = await queryDb(
+      `
+      SELECT ${AUDIT_COLUMNS.map(c => `a.${c}`).join(", ")}
+      FROM admin.audit_log a
+      WHERE ${where}
+      ORDER BY a.created_date DESC, a.audit_id DESC
+      OFFSET ? ROWS FETCH NEXT ? ROWS ONLY
+      `,
+      [...params, offset, pageSize]
+    );
+
+    res.json({
+      page,
+      page_size: pageSize,
+      total: total.recordset[0].total,
+      items: result.recordset.map(row => ({
+        ...row,
+        payload: parsePayload(row.payload)
+      }))
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
+
+/**
+ * GET /api/admin/audit/export?format=csv|jsonl
+ * Export the filtered audit trail (same filters as the listing)
+ */
+router.get("/export", async (req, res) => {
+  const format = (req.query.format || "csv").toLowerCase();
+
+  if (!["csv", "jsonl"].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or jsonl" });
+  }
+
+  try {
+    const { where, params } = buildAuditFilters(req.query);
+
+    const result = await queryDb(
+      `
+      SELECT TOP (${MAX_EXPORT_ROWS}) ${AUDIT_COLUMNS.map(c => `a.${c}`).join(", ")}
+      FROM admin.audit_log a
+      WHERE ${where}
+      ORDER BY a.created_date, a.audit_id
+      `,
+      params
+    );
+
+    const filename = `admin-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") {
+      res.type("text/csv").send(toCsv(result.recordset, AUDIT_COLUMNS));
+      return;
+    }
+
+    const lines = result.recordset.map(row => JSON.stringify(row));
+    res.type("application/x-ndjson").send(lines.join("\n") + "\n");
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to export audit log" });
+  }
+});
+
+export default router;
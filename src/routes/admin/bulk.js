@@ -0,0 +1,88 @@
+// src/routes/admin/bulk.js
+
+import express from "express";
+import { requireRole, ROLES } from "../../middleware/auth.js";
+import {
+  exportCatalog,
+  catalogToCsv,
+  csvToCatalog,
+  importCatalog
+} from "../../services/bulkTransfer.js";
+import { HttpError } from "../../utils/httpError.js";
+
+const router = express.Router();
+
+// Catalog exports outgrow express's 100kb default body limit
+export const IMPORT_BODY_LIMIT = "5mb";
+
+/**
+ * GET /api/admin/bulk/export?format=json|csv
+ * All active services (with submodules) and document mappings
+ */
+router.get("/export", requireRole(ROLES.EDITOR), async (req, res) => {
+  const format = (req.query.format || "json").toLowerCase();
+
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({ error: "format must be json or csv" });
+  }
+
+  try {
+    const catalog = await exportCatalog();
+
+    const filename = `kbchat-catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") {
+      res.type("text/csv").send(catalogToCsv(catalog));
+      return;
+    }
+
+    res.json(catalog);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to export catalog" });
+  }
+});
+
+
+/**
+ * POST /api/admin/bulk/import?mode=dry_run|upsert|transaction
+ * Body: the export's JSON, or its CSV with Content-Type text/csv.
+ * Returns a per-row report (create / update / unchanged / error).
+ */
+router.post(
+  "/import",
+  requireRole(ROLES.ADMIN),
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT }),
+  async (req, res) => {
+    const mode = (req.query.mode || "dry_run").toLowerCase();
+
+    try {
+      const catalog = typeof req.body === "string"
+        ? csvToCatalog(req.body)
+        : req.body;
+
+      const report = await importCatalog(catalog, {
+        mode,
+        changedBy: req.user.username
+      });
+
+      console.log(
+        `📦 Catalog import (${mode}) by '${req.user.username}': ` +
+        `${report.committed ? "committed" : "not committed"}`
+      );
+
+      // A transaction that was refused or rolled back imported nothing
+      res.status(mode === "transaction" && !report.committed ? 422 : 200).json(report);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error(err);
+      res.status(500).json({ error: "Failed to import catalog", detail: err.message });
+    }
+  }
+);
+
+export default router;
@@ -1,27 +1,38 @@
 // src/routes/admin/documents.js
 
 import express from "express";
-import { queryDb } from "../../db.js";
-
-function normalizePageToSkip(input) {
-  if (input === undefined || input === null) {
-    return null;
-  }
-
-  if (!Array.isArray(input)) {
-    throw new Error("page_to_skip must be an array of integers");
-  }
-
-  const normalized = input
-    .map(n => Number(n))
-    .filter(n => Number.isInteger(n) && n > 0);
-
-  if (normalized.length !== input.length) {
-    throw new Error("page_to_skip must contain only positive integers");
-  }
-
-  return JSON.stringify(normalized);
-}
+import { queryDb, withTransaction } from "../../db.js";
+import { requireRole, ROLES } from "../../middleware/auth.js";
+import { invalidateCachedText } from "../../services/textCache.js";
+import { getSearchBackend } from "../../services/searchService.js";
+import {
+  queueIngestion,
+  requestIngestion
+} from "../../services/ingestion.js";
+import { previewDocument } from "../../services/documentPreview.js";
+import { HttpError } from "../../utils/httpError.js";
+import {
+  normalizePageToSkip,
+  parsePageToSkipField,
+  parseServiceId,
+  pageRangeError,
+  hasDuplicateMapping,
+  insertDocumentMapping
+} from "../../services/documentMappings.js";
+import {
+  ENTITY_TYPES,
+  snapshotOf,
+  recordRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restorableState,
+  parseRevisionNumber
+} from "../../services/revisions.js";
+import {
+  getActiveService,
+  submoduleError
+} from "../../services/submoduleIntegrity.js";
 
 const router = express.Router();
 
@@ -29,7 +40,7 @@ const router = express.Router();
  * GET /api/admin/documents
  * List all active documents
  */
-router.get("/", async (req, res) => {
+router.get("/", requireRole(ROLES.EDITOR), async (req, res) => {
   try {
     const result = await queryDb(`
       SELECT
@@ -41,6 +52,10 @@ router.get("/", async (req, res) => {
         d.page_from_inclusive,
         d.page_to_inclusive,
         d.page_to_skip,
+        d.ingestion_status,
+        d.ingestion_error,
+        d.page_count,
+        d.ingested_date,
         d.created_date
       FROM knowledge.documents d
       INNER JOIN knowledge.services s
@@ -62,7 +77,7 @@ router.get("/", async (req, res) => {
  * POST /api/admin/documents
  * Create a new document mapping
  */
-router.post("/", async (req, res) => {
+router.post("/", requireRole(ROLES.EDITOR), async (req, res) => {
   try {
     const {
       service_id,
@@ -79,88 +94,65 @@ router.post("/", async (req, res) => {
       });
     }
 
-    if (
-      page_from_inclusive != null &&
-      page_to_inclusive != null &&
-      page_from_inclusive > page_to_inclusive
-    ) {
-      return res.status(400).json({
-        error: "page_from_inclusive cannot be greater than page_to_inclusive"
-      });
+    const rangeError = pageRangeError(page_from_inclusive ?? null, page_to_inclusive ?? null);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
     }
 
-    // 🔎 Validate service_id is active
-    const svc = await queryDb(
-      `
-      SELECT 1
-      FROM knowledge.services
-      WHERE service_id = ?
-        AND deleted_date IS NULL
-      `,
-      [service_id]
-    );
+    if (parseServiceId(service_id) === null) {
+      return res.status(400).json({ error: "service_id must be a positive integer" });
+    }
 
-    if (svc.recordset.length === 0) {
+    // 🔎 Validate service_id is active and defines the submodule
+    const service = await getActiveService(service_id);
+    if (!service) {
       return res.status(400).json({
         error: "Invalid or inactive service_id"
       });
     }
 
-    const normalizedPageToSkip = normalizePageToSkip(page_to_skip);
+    const invalidSubmodule = submoduleError(service, service_submodule);
+    if (invalidSubmodule) {
+      return res.status(400).json({ error: invalidSubmodule });
+    }
 
-    // 🔐 Exact-duplicate safeguard
-    const exists = await queryDb(
-      `
-      SELECT 1
-      FROM knowledge.documents
-      WHERE service_id = ?
-        AND service_submodule = ?
-        AND blob_directory = ?
-        AND ISNULL(page_from_inclusive, -1) = ISNULL(?, -1)
-        AND ISNULL(page_to_inclusive, -1) = ISNULL(?, -1)
-        AND deleted_date IS NULL
-      `,
-      [
-        service_id,
-        service_submodule,
-        blob_directory,
-        page_from_inclusive,
-        page_to_inclusive
-      ]
-    );
+    const mapping = {
+      service_id: parseServiceId(service_id),
+      service_submodule,
+      blob_directory,
+      page_from_inclusive,
+      page_to_inclusive,
+      page_to_skip: normalizePageToSkip(page_to_skip)
+    };
 
-    if (exists.recordset.length > 0) {
+    // 🔐 Exact-duplicate safeguard
+    if (await hasDuplicateMapping(mapping)) {
       return res.status(409).json({
         error: "Exact document mapping already exists"
       });
     }
 
-    const result = await queryDb(
-      `
-      INSERT INTO knowledge.documents (
-        service_id,
-        service_submodule,
-        blob_directory,
-        page_from_inclusive,
-        page_to_inclusive,
-        page_to_skip,
-        created_date
-      )
-      OUTPUT inserted.document_id
-      VALUES (?, ?, ?, ?, ?, ?, SYSDATETIME())
-      `,
-      [
-        service_id,
-        service_submodule,
-        blob_directory,
-        page_from_inclusive ?? null,
-        page_to_inclusive ?? null,
-        normalizedPageToSkip
-      ]
-    );
+    const documentId = await withTransaction(async query => {
+      const createdId = await insertDocumentMapping(mapping, query);
+
+      await recordRevision({
+        entityType: ENTITY_TYPES.DOCUMENT,
+        entityId: createdId,
+        action: "create",
+        before: null,
+        after: snapshotOf(ENTITY_TYPES.DOCUMENT, mapping),
+        changedBy: req.user.username
+      }, query);
+
+      return createdId;
+    });
+
+    // ⚙️ Validate + extract + index in the background
+    queueIngestion(documentId);
 
     res.status(201).json({
-      document_id: result.recordset[0].document_id
+      document_id: documentId,
+      ingestion_status: "pending"
     });
   } catch (err) {
     if (err.message.includes("page_to_skip")) {
@@ -176,7 +168,7 @@ router.post("/", async (req, res) => {
  * PUT /api/admin/documents/:id
  * Update document metadata
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireRole(ROLES.EDITOR), async (req, res) => {
   const { id } = req.params;
   const {
     service_id,
@@ -187,107 +179,359 @@ router.put("/:id", async (req, res) => {
     page_to_skip
   } = req.body;
 
-  if (
-    page_from_inclusive != null &&
-    page_to_inclusive != null &&
-    page_from_inclusive > page_to_inclusive
-  ) {
-    return res.status(400).json({
-      error: "page_from_inclusive cannot be greater than page_to_inclusive"
+  try {
+    if (service_id !== undefined && parseServiceId(service_id) === null) {
+      return res.status(400).json({ error: "service_id must be a positive integer" });
+    }
+
+    const existing = await queryDb(
+      `
+      SELECT *
+      FROM knowledge.documents
+      WHERE document_id = ?
+        AND deleted_date IS NULL
+      `,
+      [id]
+    );
+
+    if (existing.recordset.length === 0) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const current = existing.recordset[0];
+
+    const finalServiceId =
+      service_id !== undefined ? parseServiceId(service_id) : current.service_id;
+
+    const finalSubmodule =
+      service_submodule !== undefined
+        ? service_submodule
+        : current.service_submodule;
+
+    const finalBlobDirectory =
+      blob_directory !== undefined
+        ? blob_directory
+        : current.blob_directory;
+
+    const finalPageFrom =
+      page_from_inclusive !== undefined
+        ? page_from_inclusive
+        : current.page_from_inclusive;
+
+    const finalPageTo =
+      page_to_inclusive !== undefined
+        ? page_to_inclusive
+        : current.page_to_inclusive;
+
+    // Checked on the merged values: a new `from` must fit the saved `to`
+    const rangeError = pageRangeError(finalPageFrom, finalPageTo);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    let finalPageSkip = current.page_to_skip;
+
+    if (page_to_skip !== undefined) {
+      finalPageSkip = normalizePageToSkip(page_to_skip);
+    }
+
+    if (
+      finalServiceId !== current.service_id ||
+      finalSubmodule !== current.service_submodule
+    ) {
+      const service = await getActiveService(finalServiceId);
+      if (!service) {
+        return res.status(400).json({ error: "Invalid service_id" });
+      }
+
+      const invalidSubmodule = submoduleError(service, finalSubmodule);
+      if (invalidSubmodule) {
+        return res.status(400).json({ error: invalidSubmodule });
+      }
+    }
+
+    // 🔐 Duplicate safeguard (exclude self)
+    const duplicate = await hasDuplicateMapping(
+      {
+        service_id: finalServiceId,
+        service_submodule: finalSubmodule,
+        blob_directory: finalBlobDirectory,
+        page_from_inclusive: finalPageFrom,
+        page_to_inclusive: finalPageTo
+      },
+      id
+    );
+
+    if (duplicate) {
+      return res.status(409).json({ error: "Duplicate document mapping exists" });
+    }
+
+    await withTransaction(async query => {
+      await query(
+        `
+        UPDATE knowledge.documents
+        SET
+          service_id = ?,
+          service_submodule = ?,
+          blob_directory = ?,
+          page_from_inclusive = ?,
+          page_to_inclusive = ?,
+          page_to_skip = ?
+        WHERE document_id = ?
+        `,
+        [
+          finalServiceId,
+          finalSubmodule,
+          finalBlobDirectory,
+          finalPageFrom,
+          finalPageTo,
+          finalPageSkip,
+          id
+        ]
+      );
+
+      await recordRevision({
+        entityType: ENTITY_TYPES.DOCUMENT,
+        entityId: Number(id),
+        action: "update",
+        before: snapshotOf(ENTITY_TYPES.DOCUMENT, current),
+        after: snapshotOf(ENTITY_TYPES.DOCUMENT, {
+          service_id: finalServiceId,
+          service_submodule: finalSubmodule,
+          blob_directory: finalBlobDirectory,
+          page_from_inclusive: finalPageFrom,
+          page_to_inclusive: finalPageTo,
+          page_to_skip: finalPageSkip
+        }),
+        changedBy: req.user.username
+      }, query);
     });
-  }
 
-  const existing = await queryDb(
-    `
-    SELECT *
-    FROM knowledge.documents
-    WHERE document_id = ?
-      AND deleted_date IS NULL
-    `,
-    [id]
-  );
+    // 🧹 Extracted text no longer matches the mapping
+    const sourceChanged =
+      finalBlobDirectory !== current.blob_directory ||
+      finalPageFrom !== current.page_from_inclusive ||
+      finalPageTo !== current.page_to_inclusive ||
+      finalPageSkip !== current.page_to_skip;
+
+    if (sourceChanged) {
+      await invalidateCachedText(id);
+    }
 
-  if (existing.recordset.length === 0) {
-    return res.status(404).json({ error: "Document not found" });
+    // ⚙️ Re-ingest (service/submodule are stored on every indexed chunk too)
+    await requestIngestion(id);
+
+    res.json({ success: true, ingestion_status: "pending" });
+  } catch (err) {
+    if (err.message.includes("page_to_skip")) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to update document" });
   }
+});
+
+
+/**
+ * GET /api/admin/documents/:id/status
+ * Ingestion status of a document
+ */
+router.get("/:id/status", requireRole(ROLES.EDITOR), async (req, res) => {
+  try {
+    const result = await queryDb(
+      `
+      SELECT
+        document_id,
+        ingestion_status,
+        ingestion_error,
+        page_count,
+        ingested_date
+      FROM knowledge.documents
+      WHERE document_id = ?
+        AND deleted_date IS NULL
+      `,
+      [req.params.id]
+    );
 
-  const current = existing.recordset[0];
+    if (result.recordset.length === 0) {
+      return res.status(404).json({ error: "Document not found" });
+    }
 
-  const finalServiceId =
-    service_id !== undefined ? service_id : current.service_id;
+    res.json(result.recordset[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch ingestion status" });
+  }
+});
 
-  const finalSubmodule =
-    service_submodule !== undefined
-      ? service_submodule
-      : current.service_submodule;
 
-  const finalBlobDirectory =
-    blob_directory !== undefined
-      ? blob_directory
-      : current.blob_directory;
+/**
+ * Ad-hoc page filter from the query string, applied on top of the saved
+ * mapping. "null" clears page_to_inclusive / page_to_skip.
+ */
+function applyPreviewOverrides(doc, query) {
+  const overridden = { ...doc };
 
-  const finalPageFrom =
-    page_from_inclusive !== undefined
-      ? page_from_inclusive
-      : current.page_from_inclusive;
+  for (const field of ["page_from_inclusive", "page_to_inclusive"]) {
+    const value = query[field];
+    if (value === undefined) continue;
 
-  const finalPageTo =
-    page_to_inclusive !== undefined
-      ? page_to_inclusive
-      : current.page_to_inclusive;
+    if (value === "" || value === "null") {
+      overridden[field] = null;
+      continue;
+    }
 
-  let finalPageSkip = current.page_to_skip;
+    const page = Number(value);
+    if (!Number.isInteger(page) || page < 1) {
+      throw new HttpError(400, `${field} must be a positive integer`);
+    }
+    overridden[field] = page;
+  }
+
+  if (query.page_to_skip !== undefined) {
+    try {
+      overridden.page_to_skip = query.page_to_skip === "null"
+        ? null
+        : normalizePageToSkip(parsePageToSkipField(query.page_to_skip));
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+  }
 
-  if (page_to_skip !== undefined) {
-    finalPageSkip = normalizePageToSkip(page_to_skip);
+  const rangeError = pageRangeError(overridden.page_from_inclusive, overridden.page_to_inclusive);
+  if (rangeError) {
+    throw new HttpError(400, rangeError);
   }
-  
-  if (service_id !== undefined && service_id !== current.service_id) {
-    const svc = await queryDb(
+
+  return overridden;
+}
+
+
+/**
+ * GET /api/admin/documents/:id/preview
+ * ?page_from_inclusive&page_to_inclusive&page_to_skip&question&include_text=false
+ * The text this mapping feeds the model: per-page text and sizes, skipped
+ * pages and how much fits the retrieval token budget. Query page filter
+ * values override the saved ones (nothing is saved).
+ */
+router.get("/:id/preview", requireRole(ROLES.EDITOR), async (req, res) => {
+  try {
+    const result = await queryDb(
       `
-      SELECT 1
-      FROM knowledge.services
-      WHERE service_id = ?
+      SELECT
+        document_id,
+        service_id,
+        service_submodule,
+        blob_directory,
+        page_from_inclusive,
+        page_to_inclusive,
+        page_to_skip
+      FROM knowledge.documents
+      WHERE document_id = ?
         AND deleted_date IS NULL
       `,
-      [finalServiceId]
+      [req.params.id]
     );
 
-    if (svc.recordset.length === 0) {
-      return res.status(400).json({ error: "Invalid service_id" });
+    if (result.recordset.length === 0) {
+      return res.status(404).json({ error: "Document not found" });
     }
+
+    const doc = applyPreviewOverrides(result.recordset[0], req.query);
+
+    const preview = await previewDocument(doc, {
+      question: req.query.question || null,
+      includeText: req.query.include_text !== "false"
+    });
+
+    res.json(preview);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to preview document", detail: err.message });
   }
+});
 
-  try {
 
-    // 🔐 Duplicate safeguard (exclude self)
-    const dup = await queryDb(
+/**
+ * POST /api/admin/documents/:id/ingest
+ * Re-run ingestion for a document
+ */
+router.post("/:id/ingest", requireRole(ROLES.EDITOR), async (req, res) => {
+  try {
+    const result = await queryDb(
       `
       SELECT 1
       FROM knowledge.documents
-      WHERE service_id = ?
-        AND service_submodule = ?
-        AND blob_directory = ?
-        AND ISNULL(page_from_inclusive, -1) = ISNULL(?, -1)
-        AND ISNULL(page_to_inclusive, -1) = ISNULL(?, -1)
+      WHERE document_id = ?
         AND deleted_date IS NULL
-        AND document_id <> ?
       `,
-      [
-        finalServiceId,
-        finalSubmodule,
-        finalBlobDirectory,
-        finalPageFrom,
-        finalPageTo,
-        id
-      ]
+      [req.params.id]
     );
 
-    if (dup.recordset.length > 0) {
-      return res.status(409).json({ error: "Duplicate document mapping exists" });
+    if (result.recordset.length === 0) {
+      return res.status(404).json({ error: "Document not found" });
     }
 
-    await queryDb(
+    await requestIngestion(req.params.id);
+
+    res.status(202).json({ success: true, ingestion_status: "pending" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to queue ingestion" });
+  }
+});
+
+
+/* ---------------------------------------
+   REVISION HISTORY
+---------------------------------------- */
+
+/**
+ * Document row including soft-deleted ones, or null
+ */
+async function loadDocumentRow(id) {
+  const result = await queryDb(
+    `
+    SELECT *
+    FROM knowledge.documents
+    WHERE document_id = ?
+    `,
+    [id]
+  );
+
+  return result.recordset[0] ?? null;
+}
+
+/**
+ * Put a document back into a given state (and undelete it), re-checking
+ * the same safeguards as create/update. Returns the new revision number.
+ */
+async function reactivateDocument(current, target, { action, changedBy }) {
+  const mapping = {
+    ...target,
+    page_to_skip: normalizePageToSkip(target.page_to_skip)
+  };
+
+  const service = await getActiveService(mapping.service_id);
+  if (!service) {
+    throw new HttpError(400, "Invalid or inactive service_id");
+  }
+
+  const invalidSubmodule = submoduleError(service, mapping.service_submodule);
+  if (invalidSubmodule) {
+    throw new HttpError(400, invalidSubmodule);
+  }
+
+  // 🔐 Duplicate safeguard (exclude self)
+  if (await hasDuplicateMapping(mapping, current.document_id)) {
+    throw new HttpError(409, "Duplicate document mapping exists");
+  }
+
+  const revision = await withTransaction(async query => {
+    await query(
       `
       UPDATE knowledge.documents
       SET
@@ -296,27 +540,158 @@ router.put("/:id", async (req, res) => {
         blob_directory = ?,
         page_from_inclusive = ?,
         page_to_inclusive = ?,
-        page_to_skip = ?
+        page_to_skip = ?,
+        deleted_date = NULL
       WHERE document_id = ?
       `,
       [
-        finalServiceId,
-        finalSubmodule,
-        finalBlobDirectory,
-        finalPageFrom,
-        finalPageTo,
-        finalPageSkip,
-        id
+        mapping.service_id,
+        mapping.service_submodule,
+        mapping.blob_directory,
+        mapping.page_from_inclusive ?? null,
+        mapping.page_to_inclusive ?? null,
+        mapping.page_to_skip,
+        current.document_id
       ]
     );
 
-    res.json({ success: true });
+    return recordRevision({
+      entityType: ENTITY_TYPES.DOCUMENT,
+      entityId: current.document_id,
+      action,
+      before: current.deleted_date ? null : snapshotOf(ENTITY_TYPES.DOCUMENT, current),
+      after: snapshotOf(ENTITY_TYPES.DOCUMENT, mapping),
+      changedBy
+    }, query);
+  });
+
+  await invalidateCachedText(current.document_id);
+  await requestIngestion(current.document_id);
+
+  return revision;
+}
+
+function sendRevisionError(res, err, message) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  if (err.message.includes("page_to_skip")) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(err);
+  res.status(500).json({ error: message });
+}
+
+
+/**
+ * GET /api/admin/documents/:id/history
+ * All revisions (newest first), also for soft-deleted documents
+ */
+router.get("/:id/history", requireRole(ROLES.EDITOR), async (req, res) => {
+  try {
+    const current = await loadDocumentRow(req.params.id);
+    const revisions = await listRevisions(ENTITY_TYPES.DOCUMENT, req.params.id);
+
+    if (!current && revisions.length === 0) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    res.json({
+      document_id: Number(req.params.id),
+      deleted: Boolean(current?.deleted_date),
+      revisions
+    });
   } catch (err) {
-    if (err.message.includes("page_to_skip")) {
-      return res.status(400).json({ error: err.message });
+    sendRevisionError(res, err, "Failed to fetch document history");
+  }
+});
+
+
+/**
+ * GET /api/admin/documents/:id/history/diff?from=2&to=5
+ * Field changes between two revisions (`to` defaults to the latest)
+ */
+router.get("/:id/history/diff", requireRole(ROLES.EDITOR), async (req, res) => {
+  const from = parseRevisionNumber(req.query.from);
+  const to = req.query.to === undefined ? null : parseRevisionNumber(req.query.to);
+
+  if (from === null || (req.query.to !== undefined && to === null)) {
+    return res.status(400).json({ error: "from and to must be revision numbers" });
+  }
+
+  try {
+    res.json(await diffRevisions(ENTITY_TYPES.DOCUMENT, req.params.id, from, to));
+  } catch (err) {
+    sendRevisionError(res, err, "Failed to diff document revisions");
+  }
+});
+
+
+/**
+ * POST /api/admin/documents/:id/history/:revision/restore
+ * Restore the mapping as it was after that revision (a delete revision
+ * restores what was deleted). Undeletes the document and re-ingests it.
+ */
+router.post("/:id/history/:revision/restore", requireRole(ROLES.EDITOR), async (req, res) => {
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+
+  if (revisionNumber === null) {
+    return res.status(400).json({ error: "revision must be a positive integer" });
+  }
+
+  try {
+    const current = await loadDocumentRow(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: "Document not found" });
     }
-    console.error(err);
-    res.status(500).json({ error: "Failed to update document" });
+
+    const revision = await getRevision(ENTITY_TYPES.DOCUMENT, current.document_id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const newRevision = await reactivateDocument(current, restorableState(revision), {
+      action: "restore",
+      changedBy: req.user.username
+    });
+
+    console.log(`⏪ Document ${current.document_id} restored to revision ${revisionNumber}`);
+    res.json({
+      success: true,
+      restored_revision: revisionNumber,
+      revision: newRevision,
+      ingestion_status: "pending"
+    });
+  } catch (err) {
+    sendRevisionError(res, err, "Failed to restore document");
+  }
+});
+
+
+/**
+ * POST /api/admin/documents/:id/undelete
+ * Undo a soft delete and re-ingest the document
+ */
+router.post("/:id/undelete", requireRole(ROLES.EDITOR), async (req, res) => {
+  try {
+    const current = await loadDocumentRow(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    if (!current.deleted_date) {
+      return res.status(409).json({ error: "Document is not deleted" });
+    }
+
+    const newRevision = await reactivateDocument(current, snapshotOf(ENTITY_TYPES.DOCUMENT, current), {
+      action: "undelete",
+      changedBy: req.user.username
+    });
+
+    console.log(`♻️ Document ${current.document_id} undeleted`);
+    res.json({ success: true, revision: newRevision, ingestion_status: "pending" });
+  } catch (err) {
+    sendRevisionError(res, err, "Failed to undelete document");
   }
 });
 
@@ -325,24 +700,56 @@ router.put("/:id", async (req, res) => {
  * DELETE /api/admin/documents/:id
  * Soft delete document
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole(ROLES.EDITOR), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const result = await queryDb(
-      `
-      UPDATE knowledge.documents
-      SET deleted_date = SYSDATETIME()
-      WHERE document_id = ?
-        AND deleted_date IS NULL
-      `,
-      [id]
-    );
+    const deleted = await withTransaction(async query => {
+      const result = await query(
+        `
+        UPDATE knowledge.documents
+        SET deleted_date = SYSDATETIME()
+        OUTPUT
+          deleted.service_id,
+          deleted.service_submodule,
+          deleted.blob_directory,
+          deleted.page_from_inclusive,
+          deleted.page_to_inclusive,
+          deleted.page_to_skip
+        WHERE document_id = ?
+          AND deleted_date IS NULL
+        `,
+        [id]
+      );
+
+      if (result.recordset.length === 0) {
+        return false;
+      }
+
+      await recordRevision({
+        entityType: ENTITY_TYPES.DOCUMENT,
+        entityId: Number(id),
+        action: "delete",
+        before: snapshotOf(ENTITY_TYPES.DOCUMENT, result.recordset[0]),
+        after: null,
+        changedBy: req.user.username
+      }, query);
+
+      return true;
+    });
 
-    if (result.rowsAffected[0] === 0) {
+    if (!deleted) {
       return res.status(404).json({ error: "Document not found" });
     }
 
+    await invalidateCachedText(id);
+
+    getSearchBackend()
+      .removeDocument(Number(id))
+      .catch(err =>
+        console.error(`❌ Failed to remove document ${id} from search index:`, err)
+      );
+
     res.json({ success: true });
   } catch (err) {
     console.error(err);
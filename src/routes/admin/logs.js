@@ -0,0 +1,579 @@
+// src/routes/admin/logs.js
+
+import express from "express";
+import { queryDb } from "../../db.js";
+import { config } from "../../config.js";
+import { requireRole, ROLES } from "../../middleware/auth.js";
+import { DEFAULT_REFUSAL_MESSAGE } from "../../services/promptTemplates.js";
+import { toCsv } from "../../utils/csv.js";
+import { HttpError } from "../../utils/httpError.js";
+import {
+  parseDateFilter,
+  parseIntegerFilter,
+  containsPattern,
+  parsePagination
+} from "../../utils/queryFilters.js";
+
+const router = express.Router();
+
+router.use(requireRole(ROLES.ADMIN));
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 50000;
+
+const LOG_COLUMNS = [
+  "log_id",
+  "username",
+  "service_id",
+  "service_name",
+  "submodule",
+  "question",
+  "answer",
+  "citations",
+  "conversation_id",
+  "prompt_version",
+  "model",
+  "prompt_tokens",
+  "completion_tokens",
+  "usage_estimated",
+  "latency_ms",
+  "retry_count",
+  "created_date"
+];
+
+// Matches the default refusal even when the model wraps it in quotes
+const DEFAULT_REFUSAL_TEXT = DEFAULT_REFUSAL_MESSAGE.replace(/\.$/, "");
+
+/**
+ * WHERE clause for the shared log filters:
+ * service_id, submodule, username, from (inclusive), to (exclusive), q
+ */
+function buildLogFilters(query) {
+  const conditions = ["1 = 1"];
+  const params = [];
+
+  const serviceId = parseIntegerFilter(query.service_id, "service_id");
+  if (serviceId !== null) {
+    conditions.push("l.service_id = ?");
+    params.push(serviceId);
+  }
+
+  if (query.submodule) {
+    conditions.push("l.submodule = ?");
+    params.push(query.submodule);
+  }
+
+  if (query.username) {
+    conditions.push("l.username = ?");
+    params.push(query.username);
+  }
+
+  const from = parseDateFilter(query.from, "from");
+  if (from) {
+    conditions.push("l.created_date >= ?");
+    params.push(from);
+  }
+
+  const to = parseDateFilter(query.to, "to");
+  if (to) {
+    conditions.push("l.created_date < ?");
+    params.push(to);
+  }
+
+  if (query.q) {
+    conditions.push("(l.question LIKE ? OR l.answer LIKE ?)");
+    params.push(containsPattern(query.q), containsPattern(query.q));
+  }
+
+  return { where: conditions.join("\n      AND "), params };
+}
+
+/**
+ * GET /api/admin/logs
+ * Paginated, filterable chat log browsing
+ * ?service_id&submodule&username&from&to&q&page=1&page_size=50
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { where, params } = buildLogFilters(req.query);
+
+    const { page, pageSize, offset } = parsePagination(req.query, MAX_PAGE_SIZE);
+
+    const total = await queryDb(
+      `
+      SELECT COUNT(*) AS total
+      FROM chat.logs l
+      WHERE ${where}
+      `,
+      params
+    );
+
+    const result = await queryDb(
+      `
+      SELECT
+        l.log_id,
+        l.username,
+        l.service_id,
+        s.service_name,
+        l.submodule,
+        l.question,
+        l.answer,
+        l.citations,
+        l.conversation_id,
+        l.prompt_version,
+        l.model,
+        l.prompt_tokens,
+        l.completion_tokens,
+        l.usage_estimated,
+        l.latency_ms,
+        l.retry_count,
+        l.created_date
+      FROM chat.logs l
+      LEFT JOIN knowledge.services s
+        ON l.service_id = s.service_id
+      WHERE ${where}
+      ORDER BY l.created_date DESC
+      OFFSET ? ROWS FETCH NEXT ? ROWS ONLY
+      `,
+      [...params, offset, pageSize]
+    );
+
+    res.json({
+      page,
+      page_size: pageSize,
+      total: total.recordset[0].total,
+      items: result.recordset.map(row => ({
+        ...row,
+        citations: JSON.parse(row.citations || "[]")
+      }))
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch chat logs" });
+  }
+});
+
+
+/**
+ * GET /api/admin/logs/analytics
+ * Questions per service/day, top users and "no information" answer rate
+ * per service/submodule (same filters as the log listing)
+ */
+router.get("/analytics", async (req, res) => {
+  try {
+    const { where, params } = buildLogFilters(req.query);
+    // Interpolated into TOP (...), so always an integer 1..100
+    const topUsers = Math.min(
+      Math.max(Math.trunc(Number(req.query.top)) || 10, 1),
+      100
+    );
+
+    const perDay = await queryDb(
+      `
+      SELECT
+        l.service_id,
+        s.service_name,
+        CAST(l.created_date AS date) AS day,
+        COUNT(*) AS questions
+      FROM chat.logs l
+      LEFT JOIN knowledge.services s
+        ON l.service_id = s.service_id
+      WHERE ${where}
+      GROUP BY l.service_id, s.service_name, CAST(l.created_date AS date)
+      ORDER BY day, s.service_name
+      `,
+      params
+    );
+
+    const users = await queryDb(
+      `
+      SELECT TOP (${topUsers})
+        l.username,
+        COUNT(*) AS questions,
+        MAX(l.created_date) AS last_question_date
+      FROM chat.logs l
+      WHERE ${where}
+      GROUP BY l.username
+      ORDER BY questions DESC
+      `,
+      params
+    );
+
+    const coverage = await queryDb(
+      `
+      SELECT
+        l.service_id,
+        s.service_name,
+        l.submodule,
+        COUNT(*) AS questions,
+        SUM(
+          CASE WHEN CHARINDEX(COALESCE(p.refusal_message, ?), l.answer) > 0
+          THEN 1 ELSE 0 END
+        ) AS no_info_answers
+      FROM chat.logs l
+      LEFT JOIN knowledge.services s
+        ON l.service_id = s.service_id
+      -- Each answer is checked against the refusal of the prompt version it was generated with
+      LEFT JOIN knowledge.service_prompts p
+        ON p.service_id = l.service_id
+        AND p.version = l.prompt_version
+      WHERE ${where}
+      GROUP BY l.service_id, s.service_name, l.submodule
+      ORDER BY s.service_name, l.submodule
+      `,
+      [DEFAULT_REFUSAL_TEXT, ...params]
+    );
+
+    const feedbackPerService = await queryDb(
+      `
+      SELECT
+        l.service_id,
+        s.service_name,
+        l.submodule,
+        SUM(CASE WHEN f.rating = 'up' THEN 1 ELSE 0 END) AS thumbs_up,
+        SUM(CASE WHEN f.rating = 'down' THEN 1 ELSE 0 END) AS thumbs_down
+      FROM chat.feedback f
+      INNER JOIN chat.logs l
+        ON f.log_id = l.log_id
+      LEFT JOIN knowledge.services s
+        ON l.service_id = s.service_id
+      WHERE ${where}
+      GROUP BY l.service_id, s.service_name, l.submodule
+      ORDER BY thumbs_down DESC
+      `,
+      params
+    );
+
+    // Attribute each rating to the documents its answer cited
+    const feedbackPerDocument = await queryDb(
+      `
+      SELECT
+        c.document_id,
+        d.service_submodule,
+        d.blob_directory,
+        SUM(CASE WHEN f.rating = 'up' THEN 1 ELSE 0 END) AS thumbs_up,
+        SUM(CASE WHEN f.rating = 'down' THEN 1 ELSE 0 END) AS thumbs_down
+      FROM chat.feedback f
+      INNER JOIN chat.logs l
+        ON f.log_id = l.log_id
+      CROSS APPLY OPENJSON(l.citations)
+        WITH (document_id int '$.document_id') c
+      LEFT JOIN knowledge.documents d
+        ON c.document_id = d.document_id
+      WHERE ${where}
+        AND ISJSON(l.citations) = 1
+      GROUP BY c.document_id, d.service_submodule, d.blob_directory
+      ORDER BY thumbs_down DESC
+      `,
+      params
+    );
+
+    res.json({
+      questions_per_service_day: perDay.recordset,
+      top_users: users.recordset,
+      no_info_rate: coverage.recordset.map(row => ({
+        ...row,
+        no_info_rate: row.questions > 0
+          ? Number((row.no_info_answers / row.questions).toFixed(4))
+          : 0
+      })),
+      feedback_per_service: feedbackPerService.recordset,
+      feedback_per_document: feedbackPerDocument.recordset
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to compute chat analytics" });
+  }
+});
+
+
+/* ---------------------------------------
+   TOKEN SPEND
+---------------------------------------- */
+const SPEND_DIMENSIONS = {
+  service: ["l.service_id", "s.service_name"],
+  submodule: ["l.submodule"],
+  user: ["l.username"],
+  day: ["CAST(l.created_date AS date)"]
+};
+
+const SPEND_COLUMN_NAMES = {
+  "l.service_id": "service_id",
+  "s.service_name": "service_name",
+  "l.submodule": "submodule",
+  "l.username": "username",
+  "CAST(l.created_date AS date)": "day"
+};
+
+/**
+ * Cost of a token count at the configured per-1M-token price;
+ * null when the model has no price
+ */
+function priceTokens(model, promptTokens, completionTokens) {
+  const price = config.pricing.models[model];
+  if (!price) return null;
+
+  const cost =
+    (promptTokens * (price.prompt ?? 0) + completionTokens * (price.completion ?? 0)) / 1e6;
+
+  return Number(cost.toFixed(6));
+}
+
+/**
+ * GET /api/admin/logs/spend?group_by=service,submodule,user,day
+ * Token usage and cost (MODEL_PRICING) grouped by any of
+ * service, submodule, user, day (same filters as the log listing)
+ */
+router.get("/spend", async (req, res) => {
+  const groupBy = String(req.query.group_by || "service")
+    .split(",")
+    .map(g => g.trim())
+    .filter(Boolean);
+
+  const unknown = groupBy.filter(g => !SPEND_DIMENSIONS[g]);
+  if (unknown.length > 0 || groupBy.length === 0) {
+    return res.status(400).json({
+      error: `group_by must be a comma-separated list of: ${Object.keys(SPEND_DIMENSIONS).join(", ")}`
+    });
+  }
+
+  try {
+    const { where, params } = buildLogFilters(req.query);
+
+    const columns = [...new Set(groupBy.flatMap(g => SPEND_DIMENSIONS[g]))];
+    const select = columns.map(c => `${c} AS ${SPEND_COLUMN_NAMES[c]}`).join(",\n        ");
+
+    // Grouped per model too, so each row can be priced
+    const result = await queryDb(
+      `
+      SELECT
+        ${select},
+        l.model,
+        COUNT(*) AS requests,
+        SUM(CAST(ISNULL(l.prompt_tokens, 0) AS bigint)) AS prompt_tokens,
+        SUM(CAST(ISNULL(l.completion_tokens, 0) AS bigint)) AS completion_tokens,
+        SUM(CASE WHEN l.usage_estimated = 1 THEN 1 ELSE 0 END) AS estimated_requests
+      FROM chat.logs l
+      LEFT JOIN knowledge.services s
+        ON l.service_id = s.service_id
+      WHERE ${where}
+      GROUP BY ${[...columns, "l.model"].join(", ")}
+      `,
+      params
+    );
+
+    const groups = new Map();
+    const totals = {
+      requests: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      cost: 0,
+      unpriced_tokens: 0
+    };
+
+    for (const row of result.recordset) {
+      const dimensions = Object.fromEntries(
+        columns.map(c => [SPEND_COLUMN_NAMES[c], row[SPEND_COLUMN_NAMES[c]]])
+      );
+      const key = JSON.stringify(dimensions);
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          ...dimensions,
+          requests: 0,
+          prompt_tokens: 0,
+          completion_tokens: 0,
+          estimated_requests: 0,
+          cost: 0,
+          unpriced_tokens: 0,
+          models: []
+        });
+      }
+
+      const group = groups.get(key);
+      const promptTokens = Number(row.prompt_tokens);
+      const completionTokens = Number(row.completion_tokens);
+      const cost = priceTokens(row.model, promptTokens, completionTokens);
+
+      group.requests += row.requests;
+      group.prompt_tokens += promptTokens;
+      group.completion_tokens += completionTokens;
+      group.estimated_requests += row.estimated_requests;
+      if (row.model && !group.models.includes(row.model)) group.models.push(row.model);
+
+      // Tokens of models without a MODEL_PRICING entry are reported, not priced
+      if (cost === null) {
+        group.unpriced_tokens += promptTokens + completionTokens;
+        totals.unpriced_tokens += promptTokens + completionTokens;
+      } else {
+        group.cost += cost;
+        totals.cost += cost;
+      }
+
+      totals.requests += row.requests;
+      totals.prompt_tokens += promptTokens;
+      totals.completion_tokens += completionTokens;
+    }
+
+    const rows = [...groups.values()]
+      .map(g => ({ ...g, cost: Number(g.cost.toFixed(6)) }))
+      .sort((a, b) => b.cost - a.cost || b.prompt_tokens - a.prompt_tokens);
+
+    res.json({
+      currency: config.pricing.currency,
+      group_by: groupBy,
+      totals: { ...totals, cost: Number(totals.cost.toFixed(6)) },
+      rows
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to compute token spend" });
+  }
+});
+
+
+/**
+ * GET /api/admin/logs/feedback
+ * Paginated feedback with the rated question/answer
+ * (log filters plus rating and reason)
+ */
+router.get("/feedback", async (req, res) => {
+  try {
+    const { where, params } = buildLogFilters(req.query);
+
+    const conditions = [where];
+    const feedbackParams = [...params];
+
+    if (req.query.rating) {
+      conditions.push("f.rating = ?");
+      feedbackParams.push(req.query.rating);
+    }
+
+    if (req.query.reason) {
+      conditions.push("f.reason = ?");
+      feedbackParams.push(req.query.reason);
+    }
+
+    const { page, pageSize, offset } = parsePagination(req.query, MAX_PAGE_SIZE);
+
+    const result = await queryDb(
+      `
+      SELECT
+        f.feedback_id,
+        f.log_id,
+        f.username,
+        f.rating,
+        f.reason,
+        f.comment,
+        f.updated_date,
+        l.service_id,
+        s.service_name,
+        l.submodule,
+        l.question,
+        l.answer,
+        l.citations
+      FROM chat.feedback f
+      INNER JOIN chat.logs l
+        ON f.log_id = l.log_id
+      LEFT JOIN knowledge.services s
+        ON l.service_id = s.service_id
+      WHERE ${conditions.join("\n        AND ")}
+      ORDER BY f.updated_date DESC
+      OFFSET ? ROWS FETCH NEXT ? ROWS ONLY
+      `,
+      [...feedbackParams, offset, pageSize]
+    );
+
+    res.json({
+      page,
+      page_size: pageSize,
+      items: result.recordset.map(row => ({
+        ...row,
+        citations: JSON.parse(row.citations || "[]")
+      }))
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch feedback" });
+  }
+});
+
+
+/**
+ * GET /api/admin/logs/export?format=csv|jsonl
+ * Export filtered logs (same filters as the log listing)
+ */
+router.get("/export", async (req, res) => {
+  const format = (req.query.format || "csv").toLowerCase();
+
+  if (!["csv", "jsonl"].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or jsonl" });
+  }
+
+  try {
+    const { where, params } = buildLogFilters(req.query);
+
+    const result = await queryDb(
+      `
+      SELECT TOP (${MAX_EXPORT_ROWS})
+        l.log_id,
+        l.username,
+        l.service_id,
+        s.service_name,
+        l.submodule,
+        l.question,
+        l.answer,
+        l.citations,
+        l.conversation_id,
+        l.prompt_version,
+        l.model,
+        l.prompt_tokens,
+        l.completion_tokens,
+        l.usage_estimated,
+        l.latency_ms,
+        l.retry_count,
+        l.created_date
+      FROM chat.logs l
+      LEFT JOIN knowledge.services s
+        ON l.service_id = s.service_id
+      WHERE ${where}
+      ORDER BY l.created_date
+      `,
+      params
+    );
+
+    const filename = `chat-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") {
+      res.type("text/csv").send(toCsv(result.recordset, LOG_COLUMNS));
+      return;
+    }
+
+    const lines = result.recordset.map(row =>
+      JSON.stringify({ ...row, citations: JSON.parse(row.citations || "[]") })
+    );
+
+    res.type("application/x-ndjson").send(lines.join("\n") + "\n");
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(err);
+    res.status(500).json({ error: "Failed to export chat logs" });
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+// src/routes/admin/quotas.js
+
+import express from "express";
+import { config } from "../../config.js";
+import { requireRole, ROLES } from "../../middleware/auth.js";
+import { getUserQuota, resetUserQuota } from "../../services/quotaService.js";
+
+const router = express.Router();
+
+router.use(requireRole(ROLES.ADMIN));
+
+/**
+ * GET /api/admin/quotas
+ * Configured limits (0 / null = unlimited)
+ */
+router.get("/", (req, res) => {
+  const limits = config.quota;
+
+  res.json({
+    store: limits.store,
+    user_requests_per_minute: limits.userRequestsPerMinute || null,
+    service_requests_per_minute: limits.serviceRequestsPerMinute || null,
+    user_daily_tokens: limits.userDailyTokens || null,
+    service_daily_tokens: limits.serviceDailyTokens || null
+  });
+});
+
+
+/**
+ * GET /api/admin/quotas/:username
+ * Current usage and remaining quota for one user
+ */
+router.get("/:username", async (req, res) => {
+  try {
+    res.json(await getUserQuota(req.params.username));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch quota" });
+  }
+});
+
+
+/**
+ * DELETE /api/admin/quotas/:username
+ * Reset a user's request window and today's token usage
+ */
+router.delete("/:username", async (req, res) => {
+  const { username } = req.params;
+
+  try {
+    await resetUserQuota(username);
+
+    console.log(`🚦 Quota reset for '${username}' by '${req.user.username}'`);
+    res.json(await getUserQuota(username));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to reset quota" });
+  }
+});
+
+export default router;
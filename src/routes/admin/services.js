@@ -1,7 +1,39 @@
 // src/routes/admin/services.js
  
 import express from "express";
-import { queryDb } from "../../db.js";
+import { queryDb, withTransaction } from "../../db.js";
+import { requireRole, ROLES } from "../../middleware/auth.js";
+import {
+  validatePromptInput,
+  listPromptVersions,
+  createPromptVersion,
+  activatePromptVersion
+} from "../../services/promptTemplates.js";
+import {
+  ENTITY_TYPES,
+  snapshotOf,
+  recordRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restorableState,
+  parseRevisionNumber
+} from "../../services/revisions.js";
+import {
+  getActiveService,
+  submodulesListError,
+  submodulesInUse,
+  countDocumentsBySubmodule,
+  softDeleteServiceDocuments,
+  removeDeletedDocuments,
+  checkConsistency
+} from "../../services/submoduleIntegrity.js";
+import {
+  serviceDetailsError,
+  resolveServiceDetails,
+  parseSubmoduleDetails
+} from "../../services/serviceCatalog.js";
+import { HttpError } from "../../utils/httpError.js";
 
 const router = express.Router();
 
@@ -9,25 +41,36 @@ const router = express.Router();
  * GET /api/admin/services
  * List all services (excluding soft-deleted)
  */
-router.get("/", async (req, res) => {
+router.get("/", requireRole(ROLES.EDITOR), async (req, res) => {
   try {
     const result = await queryDb(`
       SELECT
-        service_id,
-        service_name,
-        submodules,
-        created_date,
-        updated_date,
-        deleted_date
-      FROM knowledge.services
-      WHERE deleted_date IS NULL
-      ORDER BY service_name
+        s.service_id,
+        s.service_name,
+        s.submodules,
+        s.display_name,
+        s.description,
+        s.submodule_details,
+        s.created_date,
+        s.updated_date,
+        s.deleted_date,
+        p.version AS prompt_version
+      FROM knowledge.services s
+      LEFT JOIN knowledge.service_prompts p
+        ON p.service_id = s.service_id
+        AND p.is_active = 1
+      WHERE s.deleted_date IS NULL
+      ORDER BY s.service_name
     `);
 
     const services = result.recordset.map(s => ({
       service_id: s.service_id,
       service_name: s.service_name,
-      submodules: JSON.parse(s.submodules || "[]")
+      submodules: JSON.parse(s.submodules || "[]"),
+      display_name: s.display_name,
+      description: s.description,
+      submodule_details: parseSubmoduleDetails(s.submodule_details),
+      prompt_version: s.prompt_version ?? null
     }));
 
     res.json(services);
@@ -41,8 +84,9 @@ router.get("/", async (req, res) => {
 /**
  * POST /api/admin/services
  * Create a new service
+ * { service_name, submodules?, display_name?, description?, submodule_details? }
  */
-router.post("/", async (req, res) => {
+router.post("/", requireRole(ROLES.ADMIN), async (req, res) => {
   const { service_name, submodules } = req.body;
   const normalizedName = service_name.trim().toLowerCase();
 
@@ -50,10 +94,18 @@ router.post("/", async (req, res) => {
     return res.status(400).json({ error: "service_name is required" });
   }
 
-  if (submodules && !Array.isArray(submodules)) {
-    return res.status(400).json({ error: "submodules must be an array" });
+  const listError = submodules !== undefined && submodulesListError(submodules);
+  if (listError) {
+    return res.status(400).json({ error: listError });
   }
 
+  const detailsError = serviceDetailsError(req.body, submodules ?? []);
+  if (detailsError) {
+    return res.status(400).json({ error: detailsError });
+  }
+
+  const details = resolveServiceDetails(req.body, null, submodules ?? []);
+
   const exists = await queryDb(
     `
     SELECT 1
@@ -69,21 +121,45 @@ router.post("/", async (req, res) => {
   }
 
   try {
-    const result = await queryDb(
-      `
-      INSERT INTO knowledge.services
-        (service_name, submodules, created_date)
-      OUTPUT inserted.service_id, inserted.service_name, inserted.submodules
-      VALUES
-        (?, ?, GETDATE())
-      `,
-      [
-        normalizedName,
-        submodules ? JSON.stringify(submodules) : JSON.stringify([])
-      ]
-    );
+    const created = await withTransaction(async query => {
+      const result = await query(
+        `
+        INSERT INTO knowledge.services
+          (service_name, submodules, display_name, description, submodule_details, created_date)
+        OUTPUT
+          inserted.service_id,
+          inserted.service_name,
+          inserted.submodules,
+          inserted.display_name,
+          inserted.description,
+          inserted.submodule_details
+        VALUES
+          (?, ?, ?, ?, ?, GETDATE())
+        `,
+        [
+          normalizedName,
+          submodules ? JSON.stringify(submodules) : JSON.stringify([]),
+          details.display_name,
+          details.description,
+          JSON.stringify(details.submodule_details)
+        ]
+      );
+
+      const row = result.recordset[0];
+
+      await recordRevision({
+        entityType: ENTITY_TYPES.SERVICE,
+        entityId: row.service_id,
+        action: "create",
+        before: null,
+        after: snapshotOf(ENTITY_TYPES.SERVICE, row),
+        changedBy: req.user.username
+      }, query);
+
+      return row;
+    });
 
-    res.status(201).json(result.recordset[0]);
+    res.status(201).json(created);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to create service" });
@@ -92,68 +168,553 @@ router.post("/", async (req, res) => {
 
 
 /**
- * PUT /api/admin/services/:id
- * Update submodules
+ * Describe submodules that still have documents, for 409 responses
  */
-router.put("/:id", async (req, res) => {
+function describeInUse(inUse) {
+  return inUse.map(u => `${u.submodule} (${u.documents} document(s))`).join(", ");
+}
+
+
+/**
+ * GET /api/admin/services/consistency
+ * Documents pointing at deleted services or undefined submodules, and
+ * submodules with no documents and no `shared` fallback
+ */
+router.get("/consistency", requireRole(ROLES.EDITOR), async (req, res) => {
+  try {
+    res.json(await checkConsistency());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to check consistency" });
+  }
+});
+
+
+/**
+ * PUT /api/admin/services/:id?cascade=true
+ * Update submodules and/or display fields (omitted fields are kept).
+ * Removing a submodule that documents still use is refused unless
+ * `cascade=true`, which soft-deletes those documents.
+ */
+router.put("/:id", requireRole(ROLES.ADMIN), async (req, res) => {
   const { id } = req.params;
-  const { submodules } = req.body;
+  const cascade = req.query.cascade === "true";
 
-  if (!Array.isArray(submodules)) {
-    return res.status(400).json({ error: "submodules must be an array" });
+  const fields = ["submodules", "display_name", "description", "submodule_details"];
+  if (fields.every(field => req.body[field] === undefined)) {
+    return res.status(400).json({ error: `Nothing to update (expected ${fields.join(", ")})` });
+  }
+
+  const listError = req.body.submodules !== undefined && submodulesListError(req.body.submodules);
+  if (listError) {
+    return res.status(400).json({ error: listError });
   }
 
   try {
-    const result = await queryDb(
+    const service = await loadServiceRow(id);
+    if (!service || service.deleted_date) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    const current = JSON.parse(service.submodules || "[]");
+    const submodules = req.body.submodules ?? current;
+
+    const detailsError = serviceDetailsError(req.body, submodules);
+    if (detailsError) {
+      return res.status(400).json({ error: detailsError });
+    }
+
+    const details = resolveServiceDetails(req.body, service, submodules);
+
+    const inUse = await submodulesInUse(service.service_id, current, submodules);
+
+    if (inUse.length > 0 && !cascade) {
+      return res.status(409).json({
+        error: `Submodules still have documents: ${describeInUse(inUse)}. ` +
+          "Move or delete them first, or pass cascade=true to delete them.",
+        submodules_in_use: inUse
+      });
+    }
+
+    // Service change and cascade commit together, so a failed cascade
+    // cannot leave documents under a removed submodule
+    const deletedDocuments = await withTransaction(async query => {
+      const result = await query(
+        `
+        UPDATE knowledge.services
+        SET
+          submodules = ?,
+          display_name = ?,
+          description = ?,
+          submodule_details = ?,
+          updated_date = GETDATE()
+        OUTPUT
+          deleted.service_name,
+          deleted.submodules,
+          deleted.display_name,
+          deleted.description,
+          deleted.submodule_details
+        WHERE service_id = ?
+          AND deleted_date IS NULL
+        `,
+        [
+          JSON.stringify(submodules),
+          details.display_name,
+          details.description,
+          JSON.stringify(details.submodule_details),
+          id
+        ]
+      );
+
+      const before = result.recordset[0];
+      if (!before) return null;
+
+      await recordRevision({
+        entityType: ENTITY_TYPES.SERVICE,
+        entityId: Number(id),
+        action: "update",
+        before: snapshotOf(ENTITY_TYPES.SERVICE, before),
+        after: snapshotOf(ENTITY_TYPES.SERVICE, {
+          service_name: before.service_name,
+          submodules,
+          ...details
+        }),
+        changedBy: req.user.username
+      }, query);
+
+      return softDeleteServiceDocuments(service.service_id, {
+        submodules: inUse.map(u => u.submodule),
+        changedBy: req.user.username
+      }, query);
+    });
+
+    if (!deletedDocuments) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    await removeDeletedDocuments(service.service_id, deletedDocuments);
+
+    res.json({ success: true, deleted_documents: deletedDocuments });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to update service" });
+  }
+});
+
+
+/**
+ * DELETE /api/admin/services/:id?cascade=true
+ * Soft delete service. Refused while it has active documents unless
+ * `cascade=true`, which soft-deletes them as well.
+ */
+router.delete("/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  const { id } = req.params;
+  const cascade = req.query.cascade === "true";
+
+  try {
+    const service = await getActiveService(id);
+    if (!service) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    const inUse = await countDocumentsBySubmodule(service.service_id);
+
+    if (inUse.length > 0 && !cascade) {
+      return res.status(409).json({
+        error: `Service still has documents: ${describeInUse(inUse)}. ` +
+          "Delete them first, or pass cascade=true to delete them too.",
+        submodules_in_use: inUse
+      });
+    }
+
+    const deletedDocuments = await withTransaction(async query => {
+      const result = await query(
+        `
+        UPDATE knowledge.services
+        SET deleted_date = GETDATE()
+        OUTPUT
+          deleted.service_name,
+          deleted.submodules,
+          deleted.display_name,
+          deleted.description,
+          deleted.submodule_details
+        WHERE service_id = ?
+          AND deleted_date IS NULL
+        `,
+        [id]
+      );
+
+      if (result.recordset.length === 0) return null;
+
+      await recordRevision({
+        entityType: ENTITY_TYPES.SERVICE,
+        entityId: Number(id),
+        action: "delete",
+        before: snapshotOf(ENTITY_TYPES.SERVICE, result.recordset[0]),
+        after: null,
+        changedBy: req.user.username
+      }, query);
+
+      return cascade
+        ? softDeleteServiceDocuments(service.service_id, { changedBy: req.user.username }, query)
+        : [];
+    });
+
+    if (!deletedDocuments) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    await removeDeletedDocuments(service.service_id, deletedDocuments);
+
+    res.json({ success: true, deleted_documents: deletedDocuments });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to delete service" });
+  }
+});
+
+
+/* ---------------------------------------
+   REVISION HISTORY
+---------------------------------------- */
+
+/**
+ * Service row including soft-deleted ones, or null
+ */
+async function loadServiceRow(id) {
+  const result = await queryDb(
+    `
+    SELECT
+      service_id,
+      service_name,
+      submodules,
+      display_name,
+      description,
+      submodule_details,
+      deleted_date
+    FROM knowledge.services
+    WHERE service_id = ?
+    `,
+    [id]
+  );
+
+  return result.recordset[0] ?? null;
+}
+
+/**
+ * Put a service back into a given state (and undelete it). The name must
+ * still be free among active services, and submodules the target state drops
+ * must be unused (or cascade-deleted). Returns the new revision number.
+ */
+async function reactivateService(current, target, { action, changedBy, cascade = false }) {
+  const taken = await queryDb(
+    `
+    SELECT 1
+    FROM knowledge.services
+    WHERE service_name = ?
+      AND deleted_date IS NULL
+      AND service_id <> ?
+    `,
+    [target.service_name, current.service_id]
+  );
+
+  if (taken.recordset.length > 0) {
+    throw new HttpError(409, "Service already exists");
+  }
+
+  const inUse = await submodulesInUse(
+    current.service_id,
+    JSON.parse(current.submodules || "[]"),
+    target.submodules ?? []
+  );
+
+  if (inUse.length > 0 && !cascade) {
+    throw new HttpError(
+      409,
+      `Submodules still have documents: ${describeInUse(inUse)}. ` +
+        "Pass cascade=true to delete them."
+    );
+  }
+
+  // Revisions from before display fields were tracked restore them as empty
+  const details = resolveServiceDetails(
+    {
+      display_name: target.display_name ?? null,
+      description: target.description ?? null,
+      submodule_details: target.submodule_details ?? null
+    },
+    null,
+    target.submodules ?? []
+  );
+
+  const { newRevision, deletedDocuments } = await withTransaction(async query => {
+    await query(
       `
       UPDATE knowledge.services
       SET
+        service_name = ?,
         submodules = ?,
-        updated_date = GETDATE()
+        display_name = ?,
+        description = ?,
+        submodule_details = ?,
+        updated_date = GETDATE(),
+        deleted_date = NULL
       WHERE service_id = ?
-        AND deleted_date IS NULL
       `,
-      [JSON.stringify(submodules), id]
+      [
+        target.service_name,
+        JSON.stringify(target.submodules ?? []),
+        details.display_name,
+        details.description,
+        JSON.stringify(details.submodule_details),
+        current.service_id
+      ]
     );
 
-    if (result.rowsAffected[0] === 0) {
+    const documentIds = await softDeleteServiceDocuments(current.service_id, {
+      submodules: inUse.map(u => u.submodule),
+      changedBy
+    }, query);
+
+    const revision = await recordRevision({
+      entityType: ENTITY_TYPES.SERVICE,
+      entityId: current.service_id,
+      action,
+      before: current.deleted_date ? null : snapshotOf(ENTITY_TYPES.SERVICE, current),
+      after: snapshotOf(ENTITY_TYPES.SERVICE, {
+        service_name: target.service_name,
+        submodules: target.submodules ?? [],
+        ...details
+      }),
+      changedBy
+    }, query);
+
+    return { newRevision: revision, deletedDocuments: documentIds };
+  });
+
+  await removeDeletedDocuments(current.service_id, deletedDocuments);
+
+  return newRevision;
+}
+
+function sendRevisionError(res, err, message) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(err);
+  res.status(500).json({ error: message });
+}
+
+
+/**
+ * GET /api/admin/services/:id/history
+ * All revisions (newest first), also for soft-deleted services
+ */
+router.get("/:id/history", requireRole(ROLES.EDITOR), async (req, res) => {
+  try {
+    const current = await loadServiceRow(req.params.id);
+    const revisions = await listRevisions(ENTITY_TYPES.SERVICE, req.params.id);
+
+    if (!current && revisions.length === 0) {
       return res.status(404).json({ error: "Service not found" });
     }
 
-    res.json({ success: true });
+    res.json({
+      service_id: Number(req.params.id),
+      deleted: Boolean(current?.deleted_date),
+      revisions
+    });
+  } catch (err) {
+    sendRevisionError(res, err, "Failed to fetch service history");
+  }
+});
+
+
+/**
+ * GET /api/admin/services/:id/history/diff?from=2&to=5
+ * Field changes between two revisions (`to` defaults to the latest)
+ */
+router.get("/:id/history/diff", requireRole(ROLES.EDITOR), async (req, res) => {
+  const from = parseRevisionNumber(req.query.from);
+  const to = req.query.to === undefined ? null : parseRevisionNumber(req.query.to);
+
+  if (from === null || (req.query.to !== undefined && to === null)) {
+    return res.status(400).json({ error: "from and to must be revision numbers" });
+  }
+
+  try {
+    res.json(await diffRevisions(ENTITY_TYPES.SERVICE, req.params.id, from, to));
+  } catch (err) {
+    sendRevisionError(res, err, "Failed to diff service revisions");
+  }
+});
+
+
+/**
+ * POST /api/admin/services/:id/history/:revision/restore?cascade=true
+ * Restore name + submodules as they were after that revision
+ * (a delete revision restores what was deleted); undeletes the service.
+ * `cascade` as for PUT when the restored submodules drop used ones.
+ */
+router.post("/:id/history/:revision/restore", requireRole(ROLES.ADMIN), async (req, res) => {
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+
+  if (revisionNumber === null) {
+    return res.status(400).json({ error: "revision must be a positive integer" });
+  }
+
+  try {
+    const current = await loadServiceRow(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    const revision = await getRevision(ENTITY_TYPES.SERVICE, current.service_id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const newRevision = await reactivateService(current, restorableState(revision), {
+      action: "restore",
+      changedBy: req.user.username,
+      cascade: req.query.cascade === "true"
+    });
+
+    console.log(`⏪ Service ${current.service_id} restored to revision ${revisionNumber}`);
+    res.json({ success: true, restored_revision: revisionNumber, revision: newRevision });
+  } catch (err) {
+    sendRevisionError(res, err, "Failed to restore service");
+  }
+});
+
+
+/**
+ * POST /api/admin/services/:id/undelete
+ * Undo a soft delete
+ */
+router.post("/:id/undelete", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const current = await loadServiceRow(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    if (!current.deleted_date) {
+      return res.status(409).json({ error: "Service is not deleted" });
+    }
+
+    const newRevision = await reactivateService(current, snapshotOf(ENTITY_TYPES.SERVICE, current), {
+      action: "undelete",
+      changedBy: req.user.username
+    });
+
+    console.log(`♻️ Service ${current.service_id} undeleted`);
+    res.json({ success: true, revision: newRevision });
+  } catch (err) {
+    sendRevisionError(res, err, "Failed to undelete service");
+  }
+});
+
+
+/* ---------------------------------------
+   PROMPT TEMPLATES
+---------------------------------------- */
+async function serviceExists(id) {
+  const result = await queryDb(
+    `
+    SELECT 1
+    FROM knowledge.services
+    WHERE service_id = ?
+      AND deleted_date IS NULL
+    `,
+    [id]
+  );
+
+  return result.recordset.length > 0;
+}
+
+/**
+ * GET /api/admin/services/:id/prompts
+ * All prompt versions, newest first (version null = built-in default active)
+ */
+router.get("/:id/prompts", requireRole(ROLES.EDITOR), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await serviceExists(id))) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    const versions = await listPromptVersions(id);
+    const active = versions.find(v => v.is_active);
+
+    res.json({
+      active_version: active?.version ?? null,
+      versions
+    });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to update service" });
+    res.status(500).json({ error: "Failed to fetch prompt versions" });
   }
 });
 
 
 /**
- * DELETE /api/admin/services/:id
- * Soft delete service
+ * POST /api/admin/services/:id/prompts
+ * { template?, temperature?, max_tokens?, refusal_message? }
+ * Creates a new version and activates it; omitted fields use the defaults.
  */
-router.delete("/:id", async (req, res) => {
+router.post("/:id/prompts", requireRole(ROLES.ADMIN), async (req, res) => {
   const { id } = req.params;
 
+  const validationError = validatePromptInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
   try {
-    const result = await queryDb(
-      `
-      UPDATE knowledge.services
-      SET deleted_date = GETDATE()
-      WHERE service_id = ?
-        AND deleted_date IS NULL
-      `,
-      [id]
-    );
+    if (!(await serviceExists(id))) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    const version = await createPromptVersion(id, req.body, req.user.username);
+
+    console.log(`📝 Service ${id} prompt version ${version} activated`);
+    res.status(201).json({ version });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to create prompt version" });
+  }
+});
+
+
+/**
+ * POST /api/admin/services/:id/prompts/:version/activate
+ * Roll back to an earlier version; version 0 restores the built-in default
+ */
+router.post("/:id/prompts/:version/activate", requireRole(ROLES.ADMIN), async (req, res) => {
+  const { id } = req.params;
+  const version = Number(req.params.version);
 
-    if (result.rowsAffected[0] === 0) {
+  if (!Number.isInteger(version) || version < 0) {
+    return res.status(400).json({ error: "version must be a non-negative integer" });
+  }
+
+  try {
+    if (!(await serviceExists(id))) {
       return res.status(404).json({ error: "Service not found" });
     }
 
-    res.json({ success: true });
+    const activated = await activatePromptVersion(id, version);
+    if (!activated) {
+      return res.status(404).json({ error: "Prompt version not found" });
+    }
+
+    console.log(`📝 Service ${id} prompt version ${version || "default"} activated`);
+    res.json({ success: true, active_version: version || null });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to delete service" });
+    res.status(500).json({ error: "Failed to activate prompt version" });
   }
 });
 
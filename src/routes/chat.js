@@ -1,253 +1,431 @@
 // src/routes/chat.js
 
 import express from "express";
-import PDFParser from "pdf2json";
 
-import { BlobServiceClient } from "@azure/storage-blob";
-import { DefaultAzureCredential } from "@azure/identity";
+import { prepareChat, logChat, resolveUsage } from "../services/chatPipeline.js";
+import { buildCitations } from "../services/citations.js";
+import {
+  createConversation,
+  getConversation,
+  loadHistory
+} from "../services/conversations.js";
+import {
+  chatCompletion,
+  chatCompletionStream,
+  getModelName
+} from "../services/llmService.js";
+import { recordTokenUsage } from "../services/quotaService.js";
 
 import { config } from "../config.js";
 import { queryDb } from "../db.js";
-
-import { resolveServiceId } from "../services/serviceResolver.js";
-import { resolveDocuments } from "../services/documentResolver.js";
-import { buildPageFilter } from "../services/pageFilter.js";
-import { azureChat } from "../services/azureOpenAI.js";
-
 import { withRetry } from "../utils/retry.js";
-import { chatRateLimit } from "../middleware/chatRateLimit.js";
+import { HttpError } from "../utils/httpError.js";
+import { chatQuota } from "../middleware/chatQuota.js";
+import { requireRole, ROLES } from "../middleware/auth.js";
 
 const router = express.Router();
 
-/* ---------------------------------------
-   Blob Client — environment-aware
----------------------------------------- */
-let blobService;
-
-if (config.server.env === "production" && config.storage.useMI) {
-  console.log("🔐 Using Managed Identity for Blob access");
-  blobService = new BlobServiceClient(
-    `https://${config.storage.account}.blob.core.windows.net`,
-    new DefaultAzureCredential()
-  );
-} else {
-  console.log("🔑 Using connection string for Blob access");
-  blobService = BlobServiceClient.fromConnectionString(
-    config.storage.connectionString
-  );
+function validateChatBody(body) {
+  const { service, question } = body;
+
+  if (!service || !question) {
+    return "service and question are required";
+  }
+
+  return null;
 }
 
-/* ---------------------------------------
-   Blob helpers
----------------------------------------- */
-async function streamToBuffer(readableStream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    readableStream.on("data", d => chunks.push(d));
-    readableStream.on("end", () => resolve(Buffer.concat(chunks)));
-    readableStream.on("error", reject);
+/**
+ * Load the conversation named in the request (if any) with its trimmed history
+ */
+async function openConversation(conversationId, username) {
+  if (!conversationId) {
+    return { conversation: null, history: [] };
+  }
+
+  const conversation = await getConversation(conversationId, username);
+
+  if (!conversation) {
+    throw new HttpError(404, "Conversation not found");
+  }
+
+  const history = await loadHistory(conversation.conversation_id, {
+    tokenBudget: config.conversation.historyTokens,
+    maxTurns: config.conversation.historyTurns
   });
+
+  return { conversation, history };
+}
+
+/**
+ * Reject a conversation of another service before any tokens are spent
+ */
+function assertConversationService(conversation, serviceId) {
+  if (conversation && conversation.service_id !== serviceId) {
+    throw new HttpError(400, "conversation_id belongs to a different service");
+  }
 }
 
-async function downloadPdfFromBlob(blobUrl) {
-  const cleanUrl = blobUrl.replace("https://", "");
-  const parts = cleanUrl.split("/");
-  const containerName = parts[1];
-  const blobName = parts.slice(2).join("/");
+/**
+ * Existing conversation id, or a new conversation for a first question.
+ * Called once there is an answer, so a failed completion leaves no empty conversation.
+ */
+async function ensureConversation(conversation, { username, serviceId, submodule, question }) {
+  if (conversation) {
+    return conversation.conversation_id;
+  }
 
-  const container = blobService.getContainerClient(containerName);
-  const blob = container.getBlobClient(blobName);
+  return createConversation({ username, serviceId, submodule, question });
+}
 
-  const response = await blob.download();
-  return streamToBuffer(response.readableStreamBody);
+/**
+ * Count a completion's tokens against the daily quotas
+ */
+async function trackUsage(username, service, tokens) {
+  try {
+    await recordTokenUsage(username, service, tokens.totalTokens);
+  } catch (err) {
+    console.error("❌ Failed to record token usage:", err.message);
+  }
 }
 
 /* ---------------------------------------
-   PDF helpers
+   CHAT ROUTE
 ---------------------------------------- */
-function safeDecode(text) {
+router.post("/", requireRole(ROLES.CHAT_USER), chatQuota, async (req, res) => {
   try {
-    return decodeURIComponent(text);
-  } catch {
-    return text;
-  }
-}
+    const { service, submodule, question, conversation_id } = req.body;
+    const { username } = req.user;
+
+    const validationError = validateChatBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { conversation, history } = await openConversation(conversation_id, username);
+
+    const { serviceId, selected, promptSettings, messages } = await prepareChat({
+      service,
+      submodule,
+      question,
+      history
+    });
+
+    assertConversationService(conversation, serviceId);
 
-async function extractPages(buffer, fromPage, toPage, skipPages) {
-  return new Promise((resolve, reject) => {
-    const pdfParser = new PDFParser();
+    let retryCount = 0;
+    const startedAt = Date.now();
 
-    pdfParser.on("pdfParser_dataError", err =>
-      reject(err.parserError)
+    const completion = await withRetry(
+      () =>
+        chatCompletion(messages, {
+          temperature: promptSettings.temperature,
+          maxTokens: promptSettings.maxTokens
+        }),
+      {
+        retries: 3,
+        initialDelayMs: 1500,
+        onRetry: () => {
+          retryCount++;
+        }
+      }
     );
 
-    pdfParser.on("pdfParser_dataReady", pdfData => {
-      let text = "";
+    // Includes time spent waiting between retries
+    const latencyMs = Date.now() - startedAt;
 
-      const totalPages = pdfData.Pages.length;
-      const start = Math.max(fromPage - 1, 0);
-      const end = toPage ? Math.min(toPage - 1, totalPages - 1) : totalPages - 1;
+    const answer =
+      completion?.choices?.[0]?.message?.content ?? promptSettings.refusalMessage;
 
-      pdfData.Pages.forEach((page, index) => {
-        const pageNum = index + 1;
+    const tokens = resolveUsage(completion?.usage, messages, answer);
+    await trackUsage(username, service, tokens);
 
-        if (index < start || index > end) return;
-        if (skipPages.includes(pageNum)) return;
+    const citations = buildCitations(answer, selected);
 
-        page.Texts.forEach(t => {
-          t.R.forEach(run => {
-            text += safeDecode(run.T) + " ";
-          });
-        });
+    const conversationId = await ensureConversation(conversation, {
+      username,
+      serviceId,
+      submodule,
+      question
+    });
 
-        text += `\n\n--- END OF PAGE ${pageNum} ---\n\n`;
-      });
+    /* -----------------------------------
+       5️⃣ Log chat
+    ----------------------------------- */
+    const logId = await logChat({
+      username,
+      serviceId,
+      submodule,
+      question,
+      answer,
+      citations,
+      conversationId,
+      promptVersion: promptSettings.version,
+      usage: { ...tokens, model: getModelName(), latencyMs, retryCount }
+    });
 
-      resolve(text.trim());
+    res.json({
+      answer,
+      citations,
+      conversation_id: conversationId,
+      log_id: logId
     });
 
-    pdfParser.parseBuffer(buffer);
-  });
-}
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+
+    console.error("❌ Chat error:", err);
+    res.status(500).json({
+      error: "Internal server error",
+      detail: err.message
+    });
+  }
+});
 
 /* ---------------------------------------
-   CHAT ROUTE
+   STREAMING CHAT ROUTE (Server-Sent Events)
+
+   event: progress → { stage: "resolving" | "retrieving" | "extracting" | "generating" }
+   event: token    → { delta }
+   event: done     → { answer, citations, conversation_id, log_id }
+   event: error    → { error }
 ---------------------------------------- */
-router.post("/", chatRateLimit, async (req, res) => {
-  try {
-    const { service, submodule, question, username } = req.body;
+router.post("/stream", requireRole(ROLES.CHAT_USER), chatQuota, async (req, res) => {
+  const { service, submodule, question, conversation_id } = req.body;
+  const { username } = req.user;
 
-    if (!service || !question) {
-      return res.status(400).json({
-        error: "service and question are required"
-      });
-    }
+  const validationError = validateChatBody(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-    if (!username) {
-      return res.status(400).json({
-        error: "username is required"
-      });
-    }
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
 
-    /* -----------------------------------
-       1️⃣ Resolve service
-    ----------------------------------- */
-    const serviceId = await resolveServiceId(service);
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const abort = new AbortController();
+  let finished = false;
+  let context = null;
+  let conversation = null;
+  let conversationId = null;
+  let answer = "";
+  let usage = null;
+  let generationStartedAt = null;
+
+  // Log exactly once: on completion or when the client goes away mid-answer
+  let logged = false;
+  const logOnce = async () => {
+    if (logged || !context) return null;
+    logged = true;
+
+    const finalAnswer = answer || context.promptSettings.refusalMessage;
+
+    // Partial answers still consumed tokens
+    let logUsage = {};
+    if (generationStartedAt) {
+      const tokens = resolveUsage(usage, context.messages, answer);
+      await trackUsage(username, service, tokens);
+
+      logUsage = {
+        ...tokens,
+        model: getModelName(),
+        latencyMs: Date.now() - generationStartedAt,
+        retryCount: 0
+      };
+    }
 
-    /* -----------------------------------
-       2️⃣ Resolve documents
-    ----------------------------------- */
-    const documents = await resolveDocuments(serviceId, submodule);
+    try {
+      // Only a completed or partly generated answer starts a conversation
+      if (!conversationId && (answer || finished)) {
+        conversationId = await ensureConversation(conversation, {
+          username,
+          serviceId: context.serviceId,
+          submodule,
+          question
+        });
+      }
 
-    if (documents.length === 0) {
-      return res.status(404).json({
-        error: "No documents found for this service/submodule"
+      return await logChat({
+        username,
+        serviceId: context.serviceId,
+        submodule,
+        question,
+        answer: finalAnswer,
+        citations: buildCitations(finalAnswer, context.selected),
+        conversationId,
+        promptVersion: context.promptSettings.version,
+        usage: logUsage
       });
+    } catch (err) {
+      console.error("❌ Failed to log streamed chat:", err);
+      return null;
     }
+  };
 
-    /* -----------------------------------
-       3️⃣ Extract content from ALL documents
-    ----------------------------------- */
-    let combinedText = "";
+  res.on("close", () => {
+    if (!finished) {
+      console.warn("⚠️ Client disconnected during streamed chat");
+      abort.abort();
+      logOnce();
+    }
+  });
 
-    for (const doc of documents) {
-      const buffer = await downloadPdfFromBlob(doc.blob_directory);
-      const pageConfig = buildPageFilter(doc);
+  try {
+    const opened = await openConversation(conversation_id, username);
+    conversation = opened.conversation;
 
-      if (!pageConfig || !pageConfig.fromPage) {
-        throw new Error(`Invalid page filter for document ${doc.document_id}`);
-      }
+    const prepared = await prepareChat(
+      { service, submodule, question, history: opened.history },
+      (stage, detail) => send("progress", { stage, ...detail })
+    );
 
-      const extracted = await extractPages(
-        buffer,
-        pageConfig.fromPage,
-        pageConfig.toPage,
-        pageConfig.skipPages
-      );
+    assertConversationService(conversation, prepared.serviceId);
+    context = prepared;
 
-      const PER_DOC_LIMIT = 4000;
+    send("progress", { stage: "generating" });
 
-      const safeExtract =
-        extracted.length > PER_DOC_LIMIT
-          ? extracted.slice(0, PER_DOC_LIMIT)
-          : extracted;
+    const streamOptions = {
+      temperature: context.promptSettings.temperature,
+      maxTokens: context.promptSettings.maxTokens,
+      signal: abort.signal,
+      onUsage: reported => {
+        usage = reported;
+      }
+    };
 
-      combinedText += `
-      ===== DOCUMENT ${doc.document_id} =====
-      ${safeExtract}
+    generationStartedAt = Date.now();
 
-      `;
+    for await (const delta of chatCompletionStream(context.messages, streamOptions)) {
+      answer += delta;
+      send("token", { delta });
     }
 
-    /* -----------------------------------
-      4️⃣ AI Prompt
-    ----------------------------------- */
-    const MAX_CHARS = 12000; // safe for gpt-4o-mini
+    finished = true;
 
-    if (combinedText.length > MAX_CHARS) {
-      console.warn("⚠️ combinedText truncated");
-      combinedText = combinedText.slice(0, MAX_CHARS);
+    // Log before "done" so the client gets the log_id for feedback
+    const logId = await logOnce();
+
+    const finalAnswer = answer || context.promptSettings.refusalMessage;
+    send("done", {
+      answer: finalAnswer,
+      citations: buildCitations(finalAnswer, context.selected),
+      conversation_id: conversationId,
+      log_id: logId
+    });
+  } catch (err) {
+    finished = true;
+
+    if (abort.signal.aborted) {
+      return;
     }
 
-    const systemPrompt = `
-    You are a medical knowledge assistant.
+    console.error("❌ Streamed chat error:", err);
+    send("error", {
+      error: err instanceof HttpError ? err.message : "Internal server error",
+      detail: err.message,
+      ...(err instanceof HttpError ? err.details : {})
+    });
 
-    Answer the user's question using ONLY the provided document content.
+    // Keep whatever was generated before the failure
+    if (answer) {
+      await logOnce();
+    }
+  } finally {
+    res.end();
+  }
+});
 
-    If the answer cannot be reasonably inferred from the document content,
-    respond exactly with:
-    "The document does not contain this information."
+/* ---------------------------------------
+   FEEDBACK ROUTE
+---------------------------------------- */
+const FEEDBACK_RATINGS = ["up", "down"];
+const FEEDBACK_REASONS = [
+  "helpful",
+  "incorrect",
+  "incomplete",
+  "not_relevant",
+  "no_answer",
+  "outdated",
+  "other"
+];
+
+/**
+ * POST /api/chat/feedback
+ * { log_id, rating: "up" | "down", reason?, comment? }
+ * One rating per user per answer — posting again replaces it.
+ */
+router.post("/feedback", requireRole(ROLES.CHAT_USER), async (req, res) => {
+  const { log_id, rating, reason, comment } = req.body;
+  const { username } = req.user;
+
+  if (!Number.isInteger(log_id) || !FEEDBACK_RATINGS.includes(rating)) {
+    return res.status(400).json({
+      error: "log_id (integer) and rating ('up' or 'down') are required"
+    });
+  }
 
-    DOCUMENT CONTENT:
-    ${combinedText}
-    `.trim();
+  if (reason != null && !FEEDBACK_REASONS.includes(reason)) {
+    return res.status(400).json({
+      error: `reason must be one of: ${FEEDBACK_REASONS.join(", ")}`
+    });
+  }
 
-    const promptSize = Buffer.byteLength(systemPrompt, "utf8");
-    console.log("🧠 Prompt size (bytes):", promptSize);
-    console.log("🧠 Approx tokens:", Math.round(promptSize / 4));
+  if (comment != null && (typeof comment !== "string" || comment.length > 2000)) {
+    return res.status(400).json({
+      error: "comment must be a string of at most 2000 characters"
+    });
+  }
 
-    const completion = await withRetry(
-      () =>
-        azureChat([
-          { role: "system", content: systemPrompt },
-          { role: "user", content: question }
-        ]),
-      {
-        retries: 3,
-        initialDelayMs: 1500,
-      }
+  try {
+    // Users can only rate their own answers
+    const log = await queryDb(
+      `
+      SELECT 1
+      FROM chat.logs
+      WHERE log_id = ?
+        AND username = ?
+      `,
+      [log_id, username]
     );
 
-    const answer =
-      completion?.choices?.[0]?.message?.content ??
-      "The document does not contain this information.";
+    if (log.recordset.length === 0) {
+      return res.status(404).json({ error: "Chat log not found" });
+    }
 
-    /* -----------------------------------
-       5️⃣ Log chat
-    ----------------------------------- */
     await queryDb(
       `
-      INSERT INTO chat.logs
-        (username, service_id, submodule, question, answer, created_date)
-      VALUES (?, ?, ?, ?, ?, SYSDATETIME())
+      UPDATE chat.feedback
+      SET rating = ?, reason = ?, comment = ?, updated_date = SYSDATETIME()
+      WHERE log_id = ?
+        AND username = ?;
+
+      IF @@ROWCOUNT = 0
+        INSERT INTO chat.feedback
+          (log_id, username, rating, reason, comment, created_date, updated_date)
+        VALUES (?, ?, ?, ?, ?, SYSDATETIME(), SYSDATETIME());
       `,
       [
-        username,
-        serviceId,
-        submodule || null,
-        question,
-        answer
+        rating, reason ?? null, comment ?? null, log_id, username,
+        log_id, username, rating, reason ?? null, comment ?? null
       ]
     );
 
-    res.json({ answer });
-
+    res.json({ success: true });
   } catch (err) {
-    console.error("❌ Chat error:", err);
-    res.status(500).json({
-      error: "Internal server error",
-      detail: err.message
-    });
+    console.error("❌ Feedback error:", err);
+    res.status(500).json({ error: "Failed to save feedback" });
   }
 });
 
@@ -0,0 +1,78 @@
+// src/routes/conversations.js
+
+import express from "express";
+
+import {
+  listConversations,
+  getConversation,
+  getConversationTurns,
+  deleteConversation
+} from "../services/conversations.js";
+import { requireRole, ROLES } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(requireRole(ROLES.CHAT_USER));
+
+/**
+ * GET /api/chat/conversations
+ * List the signed-in user's conversations
+ */
+router.get("/", async (req, res) => {
+  const { username } = req.user;
+
+  try {
+    res.json(await listConversations(username));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch conversations" });
+  }
+});
+
+
+/**
+ * GET /api/chat/conversations/:id
+ * Conversation metadata + all turns
+ */
+router.get("/:id", async (req, res) => {
+  const { username } = req.user;
+
+  try {
+    const conversation = await getConversation(req.params.id, username);
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const turns = await getConversationTurns(conversation.conversation_id);
+
+    res.json({ ...conversation, turns });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch conversation" });
+  }
+});
+
+
+/**
+ * DELETE /api/chat/conversations/:id
+ * Soft delete conversation (its chat.logs rows are kept for auditing)
+ */
+router.delete("/:id", async (req, res) => {
+  const { username } = req.user;
+
+  try {
+    const deleted = await deleteConversation(req.params.id, username);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to delete conversation" });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+// src/routes/services.js
+
+import express from "express";
+
+import {
+  listServiceCatalog,
+  getCatalogService,
+  getCatalogSubmodule
+} from "../services/serviceCatalog.js";
+import { requireRole, ROLES } from "../middleware/auth.js";
+import { HttpError } from "../utils/httpError.js";
+
+const router = express.Router();
+
+router.use(requireRole(ROLES.CHAT_USER));
+
+function sendCatalogError(res, err, message) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  console.error(err);
+  res.status(500).json({ error: message });
+}
+
+/**
+ * GET /api/services
+ * Active services with display names, descriptions and submodules
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listServiceCatalog());
+  } catch (err) {
+    sendCatalogError(res, err, "Failed to fetch services");
+  }
+});
+
+
+/**
+ * GET /api/services/:service
+ * One service by name; 404 with `suggestions` when unknown
+ */
+router.get("/:service", async (req, res) => {
+  try {
+    res.json(await getCatalogService(req.params.service));
+  } catch (err) {
+    sendCatalogError(res, err, "Failed to fetch service");
+  }
+});
+
+
+/**
+ * GET /api/services/:service/submodules/:submodule
+ * One submodule (or `shared`); 404 with `suggestions` when unknown
+ */
+router.get("/:service/submodules/:submodule", async (req, res) => {
+  try {
+    res.json(await getCatalogSubmodule(req.params.service, req.params.submodule));
+  } catch (err) {
+    sendCatalogError(res, err, "Failed to fetch submodule");
+  }
+});
+
+export default router;
@@ -0,0 +1,267 @@
+// src/routes/upload.js
+
+import express from "express";
+import multer from "multer";
+
+import { config } from "../config.js";
+import { withTransaction } from "../db.js";
+import { getBlockBlob } from "../utils/blobClient.js";
+import { requireRole, ROLES } from "../middleware/auth.js";
+import {
+  detectFormat,
+  contentTypeOf,
+  SUPPORTED_EXTENSIONS
+} from "../services/documentFormats.js";
+import { queueIngestion } from "../services/ingestion.js";
+import {
+  normalizePageToSkip,
+  parsePageToSkipField,
+  parseServiceId,
+  pageRangeError,
+  hasDuplicateMapping,
+  insertDocumentMapping
+} from "../services/documentMappings.js";
+import {
+  ENTITY_TYPES,
+  snapshotOf,
+  recordRevision
+} from "../services/revisions.js";
+import {
+  getActiveService,
+  submoduleError
+} from "../services/submoduleIntegrity.js";
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxBytes,
+    files: 1
+  }
+});
+
+function receiveFile(req, res, next) {
+  upload.single("file")(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload rejected: ${err.message}` });
+    }
+    if (err) return next(err);
+    next();
+  });
+}
+
+// Keep blob paths readable and URL-safe; null when nothing but dots is left
+function safeSegment(value) {
+  const segment = String(value)
+    .trim()
+    .replace(/[^A-Za-z0-9._ -]+/g, "-")
+    .replace(/\s+/g, "-");
+
+  return /^\.*$/.test(segment) ? null : segment;
+}
+
+function optionalInt(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return Number(value);
+}
+
+/**
+ * POST /api/upload
+ * multipart/form-data:
+ *   file, service_id, service_submodule,
+ *   page_from_inclusive?, page_to_inclusive?, page_to_skip?
+ *
+ * Validates the document (PDF, DOCX, HTML, Markdown or text), stores it
+ * under <service>/<submodule>/<file name>
+ * and creates the knowledge.documents row. If the row cannot be created
+ * the uploaded blob is removed again, so either both exist or neither does.
+ */
+router.post("/", requireRole(ROLES.EDITOR), receiveFile, async (req, res) => {
+  const file = req.file;
+  const { service_id, service_submodule } = req.body;
+
+  if (!file) {
+    return res.status(400).json({ error: "file is required" });
+  }
+
+  if (!service_id || !service_submodule) {
+    return res.status(400).json({
+      error: "service_id and service_submodule are required"
+    });
+  }
+
+  const serviceId = parseServiceId(service_id);
+  if (serviceId === null) {
+    return res.status(400).json({ error: "service_id must be a positive integer" });
+  }
+
+  let pageFrom;
+  let pageTo;
+  let pageToSkip;
+
+  try {
+    pageFrom = optionalInt(req.body.page_from_inclusive);
+    pageTo = optionalInt(req.body.page_to_inclusive);
+    pageToSkip = normalizePageToSkip(parsePageToSkipField(req.body.page_to_skip));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const rangeError = pageRangeError(pageFrom, pageTo);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  /* -----------------------------------
+     1️⃣ Validate the file is a supported document
+  ----------------------------------- */
+  const format = detectFormat({
+    contentType: file.mimetype,
+    name: file.originalname,
+    buffer: file.buffer
+  });
+
+  if (!format) {
+    return res.status(400).json({
+      error: `Unsupported file type (supported: ${SUPPORTED_EXTENSIONS.join(", ")})`
+    });
+  }
+
+  if (!format.looksValid(file.buffer)) {
+    return res.status(400).json({ error: `File is not a valid ${format.name.toUpperCase()}` });
+  }
+
+  // Pages for PDFs, sections (headings / text blocks) for other formats
+  let pageCount;
+
+  try {
+    pageCount = await format.count(file.buffer);
+  } catch (err) {
+    return res.status(400).json({
+      error: `${format.name.toUpperCase()} could not be parsed`,
+      detail: String(err?.message ?? err)
+    });
+  }
+
+  if (pageCount === 0) {
+    return res.status(400).json({ error: "Document has no pages or sections" });
+  }
+
+  if ((pageFrom ?? 1) > pageCount || (pageTo ?? 0) > pageCount) {
+    return res.status(400).json({
+      error: `Page range exceeds the document's ${pageCount} pages`,
+      page_count: pageCount
+    });
+  }
+
+  let blob;
+  let blobUploaded = false;
+
+  try {
+    /* -----------------------------------
+       2️⃣ Resolve service + target path
+    ----------------------------------- */
+    const service = await getActiveService(serviceId);
+
+    if (!service) {
+      return res.status(400).json({ error: "Invalid or inactive service_id" });
+    }
+
+    const invalidSubmodule = submoduleError(service, service_submodule);
+    if (invalidSubmodule) {
+      return res.status(400).json({ error: invalidSubmodule });
+    }
+
+    const segments = [
+      safeSegment(service.service_name),
+      safeSegment(service_submodule),
+      safeSegment(file.originalname)
+    ];
+
+    if (segments.includes(null)) {
+      return res.status(400).json({
+        error: "Service, submodule and file name must not be empty or only dots"
+      });
+    }
+
+    const blobName = segments.join("/");
+
+    blob = getBlockBlob(blobName);
+
+    const mapping = {
+      service_id: serviceId,
+      service_submodule,
+      blob_directory: blob.url,
+      page_from_inclusive: pageFrom,
+      page_to_inclusive: pageTo,
+      page_to_skip: pageToSkip
+    };
+
+    if (await hasDuplicateMapping(mapping)) {
+      return res.status(409).json({
+        error: "Exact document mapping already exists"
+      });
+    }
+
+    /* -----------------------------------
+       3️⃣ Store blob (never overwrite)
+    ----------------------------------- */
+    try {
+      await blob.uploadData(file.buffer, {
+        blobHTTPHeaders: { blobContentType: contentTypeOf(format) },
+        conditions: { ifNoneMatch: "*" }
+      });
+    } catch (err) {
+      if (err.statusCode === 409) {
+        return res.status(409).json({
+          error: `A file already exists at ${blobName}`
+        });
+      }
+      throw err;
+    }
+
+    blobUploaded = true;
+
+    /* -----------------------------------
+       4️⃣ Register document
+    ----------------------------------- */
+    const documentId = await withTransaction(async query => {
+      const createdId = await insertDocumentMapping(mapping, query);
+
+      await recordRevision({
+        entityType: ENTITY_TYPES.DOCUMENT,
+        entityId: createdId,
+        action: "create",
+        before: null,
+        after: snapshotOf(ENTITY_TYPES.DOCUMENT, mapping),
+        changedBy: req.user.username
+      }, query);
+
+      return createdId;
+    });
+
+    queueIngestion(documentId);
+
+    res.status(201).json({
+      document_id: documentId,
+      blob_directory: blob.url,
+      format: format.name,
+      page_count: pageCount,
+      ingestion_status: "pending"
+    });
+  } catch (err) {
+    console.error("❌ Upload error:", err);
+
+    // ↩️ Roll back the blob so no orphan file is left behind
+    if (blobUploaded) {
+      await blob.deleteIfExists().catch(cleanupErr =>
+        console.error("❌ Failed to remove orphaned blob:", cleanupErr)
+      );
+    }
+
+    res.status(500).json({ error: "Failed to upload document" });
+  }
+});
+
+export default router;
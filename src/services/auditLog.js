@@ -0,0 +1,145 @@
+// src/services/auditLog.js
+
+import { queryDb } from "../db.js";
+import {
+  parseDateFilter,
+  parseIntegerFilter,
+  containsPattern
+} from "../utils/queryFilters.js";
+
+export const AUDIT_COLUMNS = [
+  "audit_id",
+  "actor",
+  "method",
+  "route",
+  "resource",
+  "target_id",
+  "payload",
+  "status_code",
+  "outcome",
+  "duration_ms",
+  "created_date"
+];
+
+// Payload values under these keys are never stored
+const SECRET_KEY = /pass(word|wd)?$|secret|(^|[_-])key$|api[_-]?key|access[_-]?key|(^|[_-])token$|authorization|connection[_-]?string|credential|(^|[_-])sas($|[_-])/i;
+
+// Keeps huge bulk payloads from bloating the audit table
+const MAX_PAYLOAD_CHARS = 8000;
+
+/**
+ * Deep copy of a request body with secret-looking fields replaced
+ */
+export function redactPayload(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactPayload);
+  }
+
+  if (value && typeof value === "object") {
+    const redacted = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      redacted[key] = SECRET_KEY.test(key) ? "[REDACTED]" : redactPayload(item);
+    }
+
+    return redacted;
+  }
+
+  return value;
+}
+
+/**
+ * Redacted JSON for the payload column (null for empty bodies)
+ */
+export function serializePayload(body) {
+  if (body == null || (typeof body === "object" && Object.keys(body).length === 0)) {
+    return null;
+  }
+
+  const json = JSON.stringify(redactPayload(body));
+
+  return json.length > MAX_PAYLOAD_CHARS
+    ? `${json.slice(0, MAX_PAYLOAD_CHARS)}…[truncated]`
+    : json;
+}
+
+/**
+ * success (2xx/3xx) | rejected (4xx) | error (5xx) | aborted (client went away)
+ */
+export function outcomeOf(statusCode, finished) {
+  if (!finished) return "aborted";
+  if (statusCode >= 500) return "error";
+  if (statusCode >= 400) return "rejected";
+  return "success";
+}
+
+/**
+ * Append one row to admin.audit_log
+ */
+export async function recordAuditEntry(entry) {
+  await queryDb(
+    `
+    INSERT INTO admin.audit_log
+      (actor, method, route, resource, target_id, payload, status_code, outcome, duration_ms, created_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, SYSDATETIME())
+    `,
+    [
+      entry.actor,
+      entry.method,
+      entry.route,
+      entry.resource,
+      entry.targetId,
+      entry.payload,
+      entry.statusCode,
+      entry.outcome,
+      entry.durationMs
+    ]
+  );
+}
+
+/**
+ * WHERE clause for audit filters:
+ * actor, method, resource, target_id, outcome, status_code,
+ * from (inclusive), to (exclusive), q (route + payload)
+ */
+export function buildAuditFilters(query) {
+  const conditions = ["1 = 1"];
+  const params = [];
+
+  for (const field of ["actor", "resource", "target_id", "outcome"]) {
+    if (query[field]) {
+      conditions.push(`a.${field} = ?`);
+      params.push(query[field]);
+    }
+  }
+
+  if (query.method) {
+    conditions.push("a.method = ?");
+    params.push(query.method.toUpperCase());
+  }
+
+  const statusCode = parseIntegerFilter(query.status_code, "status_code");
+  if (statusCode !== null) {
+    conditions.push("a.status_code = ?");
+    params.push(statusCode);
+  }
+
+  const from = parseDateFilter(query.from, "from");
+  if (from) {
+    conditions.push("a.created_date >= ?");
+    params.push(from);
+  }
+
+  const to = parseDateFilter(query.to, "to");
+  if (to) {
+    conditions.push("a.created_date < ?");
+    params.push(to);
+  }
+
+  if (query.q) {
+    conditions.push("(a.route LIKE ? OR a.payload LIKE ?)");
+    params.push(containsPattern(query.q), containsPattern(query.q));
+  }
+
+  return { where: conditions.join("\n      AND "), params };
+}
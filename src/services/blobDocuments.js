@@ -0,0 +1,71 @@
+// src/services/blobDocuments.js
+
+import { getBlobServiceClient } from "../utils/blobClient.js";
+
+/* ---------------------------------------
+   Blob helpers
+---------------------------------------- */
+async function streamToBuffer(readableStream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    readableStream.on("data", d => chunks.push(d));
+    readableStream.on("end", () => resolve(Buffer.concat(chunks)));
+    readableStream.on("error", reject);
+  });
+}
+
+/**
+ * Split a full blob HTTPS URL into container + blob name
+ */
+export function parseBlobUrl(blobUrl) {
+  const cleanUrl = blobUrl.replace("https://", "");
+  const parts = cleanUrl.split("/");
+
+  return {
+    containerName: parts[1],
+    blobName: parts.slice(2).join("/")
+  };
+}
+
+/**
+ * Resolve a full blob HTTPS URL to its BlobClient
+ */
+function getBlobClientFromUrl(blobUrl) {
+  const { containerName, blobName } = parseBlobUrl(blobUrl);
+
+  const container = getBlobServiceClient().getContainerClient(containerName);
+  return container.getBlobClient(blobName);
+}
+
+function versionOf(props) {
+  return {
+    etag: props.etag ?? null,
+    lastModified: props.lastModified
+      ? props.lastModified.toISOString()
+      : null
+  };
+}
+
+/**
+ * Fetch ETag / last-modified without downloading the blob
+ */
+export async function getBlobVersion(blobUrl) {
+  const blob = getBlobClientFromUrl(blobUrl);
+  return versionOf(await blob.getProperties());
+}
+
+/**
+ * Download a document blob with its stored content type
+ * (used to pick the extractor) and the version of the bytes downloaded
+ */
+export async function downloadBlob(blobUrl) {
+  const blob = getBlobClientFromUrl(blobUrl);
+
+  const response = await blob.download();
+
+  return {
+    buffer: await streamToBuffer(response.readableStreamBody),
+    contentType: response.contentType ?? null,
+    version: versionOf(response)
+  };
+}
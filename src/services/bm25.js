@@ -0,0 +1,67 @@
+// src/services/bm25.js
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does",
+  "for", "from", "how", "i", "if", "in", "is", "it", "of", "on", "or",
+  "should", "that", "the", "this", "to", "was", "what", "when", "where",
+  "which", "who", "why", "with", "you", "your"
+]);
+
+/**
+ * Lowercase word tokens; keeps decimals such as "101.1" intact
+ */
+export function tokenize(text) {
+  const tokens = (text || "").toLowerCase().match(/[\p{L}\p{N}]+(?:\.\d+)?/gu) || [];
+  return tokens.filter(t => !STOPWORDS.has(t));
+}
+
+/**
+ * Rank chunks against a query using Okapi BM25.
+ * Returns a new array of { ...chunk, score } sorted by score (desc);
+ * ties keep their original order.
+ */
+export function rankChunks(chunks, query, options = {}) {
+  const { k1 = 1.2, b = 0.75 } = options;
+
+  const queryTerms = [...new Set(tokenize(query))];
+
+  const docs = chunks.map(chunk => {
+    const tf = new Map();
+    const tokens = tokenize(chunk.text);
+
+    for (const token of tokens) {
+      tf.set(token, (tf.get(token) || 0) + 1);
+    }
+
+    return { tf, length: tokens.length };
+  });
+
+  const N = docs.length;
+  const avgLength = N > 0
+    ? docs.reduce((sum, d) => sum + d.length, 0) / N
+    : 0;
+
+  const idf = new Map();
+  for (const term of queryTerms) {
+    const df = docs.filter(d => d.tf.has(term)).length;
+    idf.set(term, Math.log(1 + (N - df + 0.5) / (df + 0.5)));
+  }
+
+  return chunks
+    .map((chunk, index) => {
+      const { tf, length } = docs[index];
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const freq = tf.get(term);
+        if (!freq) continue;
+
+        const norm = avgLength > 0 ? length / avgLength : 1;
+        score += idf.get(term) * (freq * (k1 + 1)) / (freq + k1 * (1 - b + b * norm));
+      }
+
+      return { ...chunk, score, index };
+    })
+    .sort((x, y) => y.score - x.score || x.index - y.index)
+    .map(({ index, ...chunk }) => chunk);
+}
@@ -0,0 +1,694 @@
+// src/services/bulkTransfer.js
+
+import { queryDb, withTransaction } from "../db.js";
+import {
+  normalizePageToSkip,
+  parsePageToSkipField,
+  pageRangeError,
+  findDuplicateMapping,
+  insertDocumentMapping
+} from "./documentMappings.js";
+import { ENTITY_TYPES, snapshotOf, recordRevision } from "./revisions.js";
+import {
+  submoduleError,
+  submodulesListError,
+  submodulesInUse
+} from "./submoduleIntegrity.js";
+import {
+  serviceDetailsError,
+  resolveServiceDetails,
+  parseSubmoduleDetails
+} from "./serviceCatalog.js";
+import { invalidateCachedText } from "./textCache.js";
+import { queueIngestion, requestIngestion } from "./ingestion.js";
+
+import { toCsv, parseCsv } from "../utils/csv.js";
+import { HttpError } from "../utils/httpError.js";
+
+/**
+ * Export / import of services and document mappings between environments.
+ * Records reference services by name (ids differ per environment):
+ *   { services: [{ service_name, submodules, display_name, description,
+ *                  submodule_details }],
+ *     documents: [{ service_name, service_submodule, blob_directory,
+ *                   page_from_inclusive, page_to_inclusive, page_to_skip }] }
+ * CSV holds both in one file, told apart by a `record_type` column.
+ */
+
+export const IMPORT_MODES = ["dry_run", "upsert", "transaction"];
+
+const CSV_COLUMNS = [
+  "record_type",
+  "service_name",
+  "submodules",
+  "display_name",
+  "description",
+  "submodule_details",
+  "service_submodule",
+  "blob_directory",
+  "page_from_inclusive",
+  "page_to_inclusive",
+  "page_to_skip"
+];
+
+/* ---------------------------------------
+   EXPORT
+---------------------------------------- */
+
+/**
+ * All active services and the active mappings of active services
+ */
+export async function exportCatalog() {
+  const services = await queryDb(`
+    SELECT service_name, submodules, display_name, description, submodule_details
+    FROM knowledge.services
+    WHERE deleted_date IS NULL
+    ORDER BY service_name
+  `);
+
+  const documents = await queryDb(`
+    SELECT
+      s.service_name,
+      d.service_submodule,
+      d.blob_directory,
+      d.page_from_inclusive,
+      d.page_to_inclusive,
+      d.page_to_skip
+    FROM knowledge.documents d
+    INNER JOIN knowledge.services s
+      ON d.service_id = s.service_id
+    WHERE d.deleted_date IS NULL
+      AND s.deleted_date IS NULL
+    ORDER BY s.service_name, d.service_submodule, d.document_id
+  `);
+
+  return {
+    exported_date: new Date().toISOString(),
+    services: services.recordset.map(s => ({
+      service_name: s.service_name,
+      submodules: JSON.parse(s.submodules || "[]"),
+      display_name: s.display_name,
+      description: s.description,
+      submodule_details: parseSubmoduleDetails(s.submodule_details)
+    })),
+    documents: documents.recordset.map(d => ({
+      ...d,
+      page_to_skip: d.page_to_skip ? JSON.parse(d.page_to_skip) : null
+    }))
+  };
+}
+
+export function catalogToCsv(catalog) {
+  const rows = [
+    ...catalog.services.map(s => ({
+      record_type: "service",
+      service_name: s.service_name,
+      submodules: JSON.stringify(s.submodules),
+      display_name: s.display_name,
+      description: s.description,
+      submodule_details: JSON.stringify(s.submodule_details ?? {})
+    })),
+    ...catalog.documents.map(d => ({
+      record_type: "document",
+      ...d,
+      page_to_skip: d.page_to_skip ? JSON.stringify(d.page_to_skip) : null
+    }))
+  ];
+
+  return toCsv(rows, CSV_COLUMNS);
+}
+
+/* ---------------------------------------
+   IMPORT — parsing
+---------------------------------------- */
+
+function csvInt(value) {
+  return value === "" ? null : Number(value);
+}
+
+function csvJson(value, empty) {
+  if (value === "") return empty;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value; // reported by row validation
+  }
+}
+
+/**
+ * CSV text → catalog; CSV rows keep their file line as `line`
+ */
+export function csvToCatalog(text) {
+  const catalog = { services: [], documents: [] };
+
+  for (const row of parseCsv(text)) {
+    const type = row.record_type?.trim().toLowerCase();
+
+    if (type === "service") {
+      catalog.services.push({
+        line: row._line,
+        service_name: row.service_name,
+        submodules: csvJson(row.submodules ?? "", []),
+        // Files exported before these columns existed keep the current values
+        display_name: row.display_name,
+        description: row.description,
+        submodule_details: row.submodule_details === undefined
+          ? undefined
+          : csvJson(row.submodule_details, null)
+      });
+    } else if (type === "document") {
+      let pageToSkip;
+      try {
+        pageToSkip = parsePageToSkipField(row.page_to_skip);
+      } catch {
+        pageToSkip = row.page_to_skip;
+      }
+
+      catalog.documents.push({
+        line: row._line,
+        service_name: row.service_name,
+        service_submodule: row.service_submodule,
+        blob_directory: row.blob_directory,
+        page_from_inclusive: csvInt(row.page_from_inclusive ?? ""),
+        page_to_inclusive: csvInt(row.page_to_inclusive ?? ""),
+        page_to_skip: pageToSkip
+      });
+    } else {
+      throw new HttpError(400, `Line ${row._line}: record_type must be 'service' or 'document'`);
+    }
+  }
+
+  return catalog;
+}
+
+/* ---------------------------------------
+   IMPORT — validation + planning
+---------------------------------------- */
+
+function normalizeServiceRow(input) {
+  const name = typeof input.service_name === "string"
+    ? input.service_name.trim().toLowerCase()
+    : "";
+
+  if (!name) {
+    throw new Error("service_name is required");
+  }
+
+  const submodules = input.submodules ?? [];
+
+  const listError = submodulesListError(submodules);
+  if (listError) {
+    throw new Error(listError);
+  }
+
+  const detailsError = serviceDetailsError(input, submodules);
+  if (detailsError) {
+    throw new Error(detailsError);
+  }
+
+  return { service_name: name, submodules };
+}
+
+function normalizeDocumentRow(input) {
+  const serviceName = typeof input.service_name === "string"
+    ? input.service_name.trim().toLowerCase()
+    : "";
+
+  if (!serviceName || !input.service_submodule || !input.blob_directory) {
+    throw new Error("service_name, service_submodule, and blob_directory are required");
+  }
+
+  const pageFrom = input.page_from_inclusive ?? null;
+  const pageTo = input.page_to_inclusive ?? null;
+
+  const rangeError = pageRangeError(pageFrom, pageTo);
+  if (rangeError) {
+    throw new Error(rangeError);
+  }
+
+  return {
+    service_name: serviceName,
+    service_submodule: input.service_submodule,
+    blob_directory: input.blob_directory,
+    page_from_inclusive: pageFrom,
+    page_to_inclusive: pageTo,
+    page_to_skip: normalizePageToSkip(input.page_to_skip)
+  };
+}
+
+async function findActiveService(name, query = queryDb) {
+  const result = await query(
+    `
+    SELECT
+      service_id,
+      service_name,
+      submodules,
+      display_name,
+      description,
+      submodule_details
+    FROM knowledge.services
+    WHERE service_name = ?
+      AND deleted_date IS NULL
+    `,
+    [name]
+  );
+
+  return result.recordset[0] ?? null;
+}
+
+function reportRow(input, index, type) {
+  return {
+    row: input.line ?? index + 1,
+    type,
+    service_name: input.service_name ?? null,
+    ...(type === "document"
+      ? {
+          service_submodule: input.service_submodule ?? null,
+          blob_directory: input.blob_directory ?? null
+        }
+      : {})
+  };
+}
+
+/**
+ * Validate every row and decide create / update / unchanged against the
+ * current DB state (no writes). Rows that fail get action "error".
+ */
+async function planImport(catalog) {
+  const plans = { services: [], documents: [] };
+
+  // service_name → { service_id (null when created by this import), service_name,
+  // submodules as they will be after the import }, or null when unknown
+  const knownServices = new Map();
+
+  const lookupService = async name => {
+    if (!knownServices.has(name)) {
+      const existing = await findActiveService(name);
+      knownServices.set(name, existing && {
+        service_id: existing.service_id,
+        service_name: existing.service_name,
+        submodules: JSON.parse(existing.submodules || "[]")
+      });
+    }
+    return knownServices.get(name);
+  };
+  const seenServices = new Map();
+
+  for (const [index, input] of catalog.services.entries()) {
+    const report = reportRow(input, index, "service");
+    const plan = { report };
+    plans.services.push(plan);
+
+    try {
+      const { service_name, submodules } = normalizeServiceRow(input);
+      report.service_name = service_name;
+
+      if (seenServices.has(service_name)) {
+        throw new Error(`Duplicate of row ${seenServices.get(service_name)}`);
+      }
+      seenServices.set(service_name, report.row);
+
+      const existing = await findActiveService(service_name);
+
+      // Display fields missing from the row keep their current values
+      const row = {
+        service_name,
+        submodules,
+        ...resolveServiceDetails(input, existing, submodules)
+      };
+      plan.row = row;
+      plan.existing = existing;
+
+      if (!existing) {
+        report.action = "create";
+        knownServices.set(row.service_name, { service_id: null, ...row });
+        continue;
+      }
+
+      report.id = existing.service_id;
+
+      const current = JSON.parse(existing.submodules || "[]");
+
+      // Imports never cascade: dropping a used submodule is an error
+      const inUse = await submodulesInUse(existing.service_id, current, row.submodules);
+      if (inUse.length > 0) {
+        throw new Error(
+          `Submodules still have documents: ${inUse.map(u => u.submodule).join(", ")}`
+        );
+      }
+
+      knownServices.set(row.service_name, { service_id: existing.service_id, ...row });
+
+      const currentState = snapshotOf(ENTITY_TYPES.SERVICE, {
+        ...existing,
+        submodules: current,
+        ...resolveServiceDetails({}, existing, current)
+      });
+
+      report.action =
+        JSON.stringify(currentState) === JSON.stringify(snapshotOf(ENTITY_TYPES.SERVICE, row))
+          ? "unchanged"
+          : "update";
+    } catch (err) {
+      report.action = "error";
+      report.error = err.message;
+    }
+  }
+
+  const seenDocuments = new Map();
+
+  for (const [index, input] of catalog.documents.entries()) {
+    const report = reportRow(input, index, "document");
+    const plan = { report };
+    plans.documents.push(plan);
+
+    try {
+      const row = normalizeDocumentRow(input);
+      report.service_name = row.service_name;
+
+      // 🔐 Exact-duplicate safeguard, within the file
+      const key = JSON.stringify([
+        row.service_name,
+        row.service_submodule,
+        row.blob_directory,
+        row.page_from_inclusive,
+        row.page_to_inclusive
+      ]);
+
+      if (seenDocuments.has(key)) {
+        throw new Error(`Duplicate of row ${seenDocuments.get(key)}`);
+      }
+      seenDocuments.set(key, report.row);
+
+      const service = await lookupService(row.service_name);
+      if (!service) {
+        throw new Error("Invalid or inactive service");
+      }
+
+      const invalidSubmodule = submoduleError(service, row.service_submodule);
+      if (invalidSubmodule) {
+        throw new Error(invalidSubmodule);
+      }
+
+      plan.row = row;
+
+      if (service.service_id === null) {
+        report.action = "create";
+        continue;
+      }
+
+      // 🔐 …and against the DB: an existing exact mapping is updated, not duplicated
+      const existing = await findDuplicateMapping({ ...row, service_id: service.service_id });
+      plan.existing = existing;
+
+      if (!existing) {
+        report.action = "create";
+        continue;
+      }
+
+      report.id = existing.document_id;
+      report.action = (existing.page_to_skip ?? null) === row.page_to_skip
+        ? "unchanged"
+        : "update";
+    } catch (err) {
+      report.action = "error";
+      report.error = err.message;
+    }
+  }
+
+  return plans;
+}
+
+/* ---------------------------------------
+   IMPORT — writes
+---------------------------------------- */
+
+async function applyService(plan, { query, changedBy, serviceIds }) {
+  const { row, existing, report } = plan;
+
+  if (report.action === "create") {
+    const result = await query(
+      `
+      INSERT INTO knowledge.services
+        (service_name, submodules, display_name, description, submodule_details, created_date)
+      OUTPUT inserted.service_id
+      VALUES
+        (?, ?, ?, ?, ?, GETDATE())
+      `,
+      [
+        row.service_name,
+        JSON.stringify(row.submodules),
+        row.display_name,
+        row.description,
+        JSON.stringify(row.submodule_details)
+      ]
+    );
+
+    report.id = result.recordset[0].service_id;
+    serviceIds.set(row.service_name, report.id);
+
+    await recordRevision({
+      entityType: ENTITY_TYPES.SERVICE,
+      entityId: report.id,
+      action: "create",
+      before: null,
+      after: snapshotOf(ENTITY_TYPES.SERVICE, row),
+      changedBy
+    }, query);
+    return;
+  }
+
+  serviceIds.set(row.service_name, existing.service_id);
+
+  if (report.action === "update") {
+    await query(
+      `
+      UPDATE knowledge.services
+      SET
+        submodules = ?,
+        display_name = ?,
+        description = ?,
+        submodule_details = ?,
+        updated_date = GETDATE()
+      WHERE service_id = ?
+      `,
+      [
+        JSON.stringify(row.submodules),
+        row.display_name,
+        row.description,
+        JSON.stringify(row.submodule_details),
+        existing.service_id
+      ]
+    );
+
+    await recordRevision({
+      entityType: ENTITY_TYPES.SERVICE,
+      entityId: existing.service_id,
+      action: "update",
+      before: snapshotOf(ENTITY_TYPES.SERVICE, existing),
+      after: snapshotOf(ENTITY_TYPES.SERVICE, row),
+      changedBy
+    }, query);
+  }
+}
+
+/**
+ * Returns the document id to (re-)ingest, or null
+ */
+async function applyDocument(plan, { query, changedBy, serviceIds }) {
+  const { row, existing, report } = plan;
+
+  if (report.action === "unchanged") {
+    return null;
+  }
+
+  if (!serviceIds.has(row.service_name)) {
+    const service = await findActiveService(row.service_name, query);
+    if (!service) {
+      throw new Error("Invalid or inactive service");
+    }
+    serviceIds.set(row.service_name, service.service_id);
+  }
+
+  const mapping = {
+    service_id: serviceIds.get(row.service_name),
+    service_submodule: row.service_submodule,
+    blob_directory: row.blob_directory,
+    page_from_inclusive: row.page_from_inclusive,
+    page_to_inclusive: row.page_to_inclusive,
+    page_to_skip: row.page_to_skip
+  };
+
+  if (report.action === "create") {
+    report.id = await insertDocumentMapping(mapping, query);
+
+    await recordRevision({
+      entityType: ENTITY_TYPES.DOCUMENT,
+      entityId: report.id,
+      action: "create",
+      before: null,
+      after: snapshotOf(ENTITY_TYPES.DOCUMENT, mapping),
+      changedBy
+    }, query);
+
+    return report.id;
+  }
+
+  await query(
+    `
+    UPDATE knowledge.documents
+    SET page_to_skip = ?
+    WHERE document_id = ?
+    `,
+    [mapping.page_to_skip, existing.document_id]
+  );
+
+  await recordRevision({
+    entityType: ENTITY_TYPES.DOCUMENT,
+    entityId: existing.document_id,
+    action: "update",
+    before: snapshotOf(ENTITY_TYPES.DOCUMENT, { ...mapping, page_to_skip: existing.page_to_skip }),
+    after: snapshotOf(ENTITY_TYPES.DOCUMENT, mapping),
+    changedBy
+  }, query);
+
+  return existing.document_id;
+}
+
+/**
+ * Queue ingestion for created / updated mappings once their rows are committed
+ */
+async function ingestImported(created, updated) {
+  for (const id of created) {
+    queueIngestion(id);
+  }
+
+  for (const id of updated) {
+    await invalidateCachedText(id);
+    await requestIngestion(id);
+  }
+}
+
+function summarize(rows) {
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const row of rows) {
+    summary[row.action] = (summary[row.action] ?? 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Import a catalog.
+ *  dry_run     — validate + report what would happen, write nothing
+ *  upsert      — apply every valid row; failing rows are reported and skipped
+ *  transaction — all or nothing: any invalid row, or any failed write,
+ *                leaves the DB untouched
+ * Services are applied before documents so new services can be referenced.
+ */
+export async function importCatalog(catalog, { mode, changedBy }) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new HttpError(400, `mode must be one of: ${IMPORT_MODES.join(", ")}`);
+  }
+
+  if (!Array.isArray(catalog?.services ?? []) || !Array.isArray(catalog?.documents ?? [])) {
+    throw new HttpError(400, "services and documents must be arrays");
+  }
+
+  // Non-object rows are reported as invalid instead of crashing the import
+  const asRows = rows => (rows ?? []).map(row => (row && typeof row === "object" ? row : {}));
+
+  const plans = await planImport({
+    services: asRows(catalog.services),
+    documents: asRows(catalog.documents)
+  });
+
+  const allPlans = [...plans.services, ...plans.documents];
+  const hasErrors = allPlans.some(p => p.report.action === "error");
+
+  let committed = false;
+  let error = null;
+
+  const created = [];
+  const updated = [];
+
+  // A failed row was rolled back: the id it was handed does not exist
+  const failRow = (plan, err) => {
+    if (plan.report.action === "create") delete plan.report.id;
+    plan.report.action = "error";
+    plan.report.error = err.message;
+  };
+
+  // `runRow(work)` runs one row's writes + revision: in its own transaction
+  // (upsert) or in the import's single transaction (transaction mode)
+  const applyAll = async runRow => {
+    const serviceIds = new Map();
+
+    for (const plan of plans.services) {
+      if (plan.report.action === "error") continue;
+
+      try {
+        await runRow(query => applyService(plan, { query, changedBy, serviceIds }));
+      } catch (err) {
+        serviceIds.delete(plan.row.service_name);
+        failRow(plan, err);
+        if (mode === "transaction") throw err;
+      }
+    }
+
+    for (const plan of plans.documents) {
+      if (plan.report.action === "error") continue;
+
+      try {
+        const id = await runRow(query => applyDocument(plan, { query, changedBy, serviceIds }));
+        if (id !== null) {
+          (plan.report.action === "create" ? created : updated).push(id);
+        }
+      } catch (err) {
+        failRow(plan, err);
+        if (mode === "transaction") throw err;
+      }
+    }
+  };
+
+  if (mode === "upsert") {
+    await applyAll(work => withTransaction(work));
+    committed = true;
+  }
+
+  if (mode === "transaction" && hasErrors) {
+    error = "Validation failed — nothing was imported";
+  } else if (mode === "transaction") {
+    try {
+      await withTransaction(query => applyAll(work => work(query)));
+      committed = true;
+    } catch (err) {
+      console.error("❌ Import transaction rolled back:", err.message);
+      error = `Import rolled back: ${err.message}`;
+
+      // Ids handed out inside the rolled-back transaction do not exist
+      for (const plan of allPlans) {
+        if (plan.report.action === "create") delete plan.report.id;
+      }
+    }
+  }
+
+  if (committed) {
+    await ingestImported(created, updated);
+  }
+
+  const services = plans.services.map(p => p.report);
+  const documents = plans.documents.map(p => p.report);
+
+  return {
+    mode,
+    committed,
+    ...(error ? { error } : {}),
+    summary: {
+      services: summarize(services),
+      documents: summarize(documents)
+    },
+    services,
+    documents
+  };
+}
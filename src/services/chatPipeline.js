@@ -0,0 +1,216 @@
+// src/services/chatPipeline.js
+
+import { config } from "../config.js";
+import { queryDb } from "../db.js";
+
+import { resolveService, assertSubmodule } from "./serviceResolver.js";
+import { resolveDocuments } from "./documentResolver.js";
+import { loadDocumentText } from "./documentText.js";
+import { chunkDocument } from "./chunker.js";
+import { rankChunks } from "./bm25.js";
+import { buildContext, estimateTokens } from "./contextBuilder.js";
+import { searchChunks } from "./searchService.js";
+import { touchConversation } from "./conversations.js";
+import { getPromptSettings, renderPrompt } from "./promptTemplates.js";
+
+import { HttpError } from "../utils/httpError.js";
+
+/**
+ * Query the search index for the resolved documents' submodule.
+ * Falls back to live extraction + BM25 when the index has nothing yet
+ * (e.g. documents created before indexing was enabled).
+ * Returns { chunks, source: "index" | "live" }.
+ */
+async function retrieveChunks(question, serviceId, documents, onProgress, readOnly) {
+  const submodule = documents[0].service_submodule;
+  const documentIds = new Set(documents.map(d => d.document_id));
+
+  try {
+    const hits = await searchChunks({ question, serviceId, submodule });
+    const relevant = hits.filter(hit => documentIds.has(hit.documentId));
+
+    if (relevant.length > 0) {
+      return { chunks: relevant, source: "index" };
+    }
+
+    console.warn("⚠️ No indexed chunks found, extracting documents live");
+  } catch (err) {
+    console.warn("⚠️ Search query failed, extracting documents live:", err.message);
+  }
+
+  onProgress("extracting", { documents: documents.length });
+
+  const chunks = [];
+
+  for (const doc of documents) {
+    const extracted = await loadDocumentText(doc, { readOnly });
+
+    chunks.push(
+      ...chunkDocument(doc, extracted, {
+        maxChars: config.retrieval.chunkChars,
+        overlapChars: config.retrieval.chunkOverlap
+      })
+    );
+  }
+
+  return { chunks: rankChunks(chunks, question), source: "live" };
+}
+
+/**
+ * Everything before the completion call: resolve service + documents,
+ * retrieve chunks and assemble the message array from the service's
+ * prompt template (see promptTemplates.js).
+ * `history` holds prior conversation turns as user/assistant messages.
+ * `onProgress(stage, detail)` is called as each stage starts.
+ * `readOnly` keeps live extraction from writing the text cache (dry runs).
+ */
+export async function prepareChat(
+  { service, submodule, question, history = [], readOnly = false },
+  onProgress = () => {}
+) {
+  /* -----------------------------------
+     1️⃣ Resolve service
+  ----------------------------------- */
+  onProgress("resolving", { service, submodule: submodule || null });
+
+  const resolved = await resolveService(service);
+  assertSubmodule(resolved, submodule);
+
+  const serviceId = resolved.service_id;
+
+  /* -----------------------------------
+     2️⃣ Resolve documents
+  ----------------------------------- */
+  const documents = await resolveDocuments(serviceId, submodule);
+
+  if (documents.length === 0) {
+    throw new HttpError(404, "No documents found for this service/submodule");
+  }
+
+  /* -----------------------------------
+     3️⃣ Retrieve relevant chunks
+  ----------------------------------- */
+  onProgress("retrieving", { documents: documents.length });
+
+  // Follow-ups ("what about that?") need the previous question to retrieve well
+  const previousQuestion = [...history].reverse().find(m => m.role === "user");
+  const retrievalQuery = previousQuestion
+    ? `${previousQuestion.content} ${question}`
+    : question;
+
+  const { chunks: ranked, source: retrievalSource } =
+    await retrieveChunks(retrievalQuery, serviceId, documents, onProgress, readOnly);
+
+  /* -----------------------------------
+     4️⃣ Build AI prompt
+  ----------------------------------- */
+  const { combinedText, selected, usedTokens } = buildContext(ranked, {
+    tokenBudget: config.retrieval.contextTokens
+  });
+
+  console.log(`🔎 Selected ${selected.length}/${ranked.length} chunks`);
+
+  const promptSettings = await getPromptSettings(serviceId);
+
+  const systemPrompt = renderPrompt(promptSettings, {
+    documents: combinedText,
+    question
+  });
+
+  console.log("🧠 Approx prompt tokens:", estimateTokens(systemPrompt));
+
+  return {
+    serviceId,
+    documents,
+    selected,
+    promptSettings,
+    // Only read by the admin dry-run (see chatTrace.js)
+    retrieval: {
+      query: retrievalQuery,
+      source: retrievalSource,
+      ranked,
+      contextTokens: usedTokens
+    },
+    messages: [
+      { role: "system", content: systemPrompt },
+      ...history,
+      { role: "user", content: question }
+    ]
+  };
+}
+
+/**
+ * Token counts for a completion: the provider's `usage` when it sent one,
+ * otherwise an estimate from the message and answer text
+ */
+export function resolveUsage(usage, messages, answer) {
+  if (usage?.prompt_tokens != null) {
+    const completionTokens = usage.completion_tokens ?? 0;
+
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens,
+      totalTokens: usage.total_tokens ?? usage.prompt_tokens + completionTokens,
+      estimated: false
+    };
+  }
+
+  const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  const completionTokens = estimateTokens(answer);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: true
+  };
+}
+
+/**
+ * Persist a finished (or interrupted) chat to chat.logs.
+ * `usage`: { promptTokens, completionTokens, estimated, model, latencyMs, retryCount }
+ * Returns the new log_id.
+ */
+export async function logChat({
+  username,
+  serviceId,
+  submodule,
+  question,
+  answer,
+  citations,
+  conversationId,
+  promptVersion,
+  usage = {}
+}) {
+  const result = await queryDb(
+    `
+    INSERT INTO chat.logs
+      (username, service_id, submodule, question, answer, citations, conversation_id, prompt_version,
+       model, prompt_tokens, completion_tokens, usage_estimated, latency_ms, retry_count, created_date)
+    OUTPUT inserted.log_id
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, SYSDATETIME())
+    `,
+    [
+      username,
+      serviceId,
+      submodule || null,
+      question,
+      answer,
+      JSON.stringify(citations),
+      conversationId || null,
+      promptVersion ?? null,
+      usage.model ?? null,
+      usage.promptTokens ?? null,
+      usage.completionTokens ?? null,
+      usage.estimated ?? null,
+      usage.latencyMs ?? null,
+      usage.retryCount ?? 0
+    ]
+  );
+
+  if (conversationId) {
+    await touchConversation(conversationId);
+  }
+
+  return result.recordset[0].log_id;
+}
@@ -0,0 +1,126 @@
+// src/services/chatTrace.js
+
+import { prepareChat } from "./chatPipeline.js";
+import { loadDocumentText } from "./documentText.js";
+import { estimateTokens } from "./contextBuilder.js";
+import { buildCitations } from "./citations.js";
+import { chatCompletion, getModelName } from "./llmService.js";
+
+import { withRetry } from "../utils/retry.js";
+
+/**
+ * Per-document view of what retrieval did: the full extracted text and the
+ * part of it that made it into the prompt (the selected chunks)
+ */
+async function traceDocument(doc, ranked, selected, includeText) {
+  const docRanked = ranked.filter(c => c.documentId === doc.document_id);
+  const docSelected = selected
+    .filter(c => c.documentId === doc.document_id)
+    .sort((x, y) => (x.page ?? 0) - (y.page ?? 0) || x.part - y.part);
+
+  const contextText = docSelected.map(c => c.text).join("\n\n");
+
+  const trace = {
+    document_id: doc.document_id,
+    service_submodule: doc.service_submodule,
+    blob_directory: doc.blob_directory,
+    page_from_inclusive: doc.page_from_inclusive,
+    page_to_inclusive: doc.page_to_inclusive,
+    page_to_skip: doc.page_to_skip,
+    chunks_ranked: docRanked.length,
+    chunks_selected: docSelected.length,
+    sources: docSelected.map(c => c.sourceId),
+    selected_pages: [...new Set(docSelected.map(c => c.page))],
+    context_chars: contextText.length,
+    context_tokens: estimateTokens(contextText)
+  };
+
+  try {
+    const extracted = await loadDocumentText(doc, { readOnly: true });
+
+    trace.extracted_chars = extracted.length;
+    trace.extracted_tokens = estimateTokens(extracted);
+
+    if (includeText) {
+      trace.extracted_text = extracted;
+    }
+  } catch (err) {
+    trace.extraction_error = err.message;
+  }
+
+  if (includeText) {
+    trace.context_text = contextText;
+  }
+
+  return trace;
+}
+
+/**
+ * Dry run of /api/chat for editors: the same service/document resolution,
+ * retrieval, prompt assembly and completion, returned step by step.
+ * Nothing is written to chat.logs, conversations or the text cache and no
+ * quota is used.
+ */
+export async function traceChat({ service, submodule, question, includeText = true }) {
+  const prepared = await prepareChat({ service, submodule, question, readOnly: true });
+  const { serviceId, documents, selected, promptSettings, retrieval, messages } = prepared;
+
+  // resolveDocuments only returns 'shared' rows when the submodule had none
+  const sharedFallback =
+    submodule !== "shared" && documents.every(d => d.service_submodule === "shared");
+
+  const documentTraces = [];
+  for (const doc of documents) {
+    documentTraces.push(await traceDocument(doc, retrieval.ranked, selected, includeText));
+  }
+
+  let retryCount = 0;
+  const startedAt = Date.now();
+
+  const completion = await withRetry(
+    () =>
+      chatCompletion(messages, {
+        temperature: promptSettings.temperature,
+        maxTokens: promptSettings.maxTokens
+      }),
+    {
+      retries: 3,
+      initialDelayMs: 1500,
+      onRetry: () => {
+        retryCount++;
+      }
+    }
+  );
+
+  const answer =
+    completion?.choices?.[0]?.message?.content ?? promptSettings.refusalMessage;
+
+  return {
+    service_id: serviceId,
+    submodule: submodule || null,
+    shared_fallback: sharedFallback,
+    documents: documentTraces,
+    retrieval: {
+      query: retrieval.query,
+      source: retrieval.source,
+      chunks_ranked: retrieval.ranked.length,
+      chunks_selected: selected.length,
+      context_tokens: retrieval.contextTokens
+    },
+    prompt: {
+      version: promptSettings.version,
+      temperature: promptSettings.temperature,
+      max_tokens: promptSettings.maxTokens,
+      system: messages[0].content,
+      estimated_tokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0)
+    },
+    completion: {
+      model: getModelName(),
+      latency_ms: Date.now() - startedAt,
+      retry_count: retryCount,
+      raw: completion
+    },
+    answer,
+    citations: buildCitations(answer, selected)
+  };
+}
@@ -0,0 +1,117 @@
+// src/services/chunker.js
+
+const PAGE_MARKER = /---\s*END OF PAGE (\d+)(?: \(source: (\w+)\))?[^\n]*---/g;
+
+/**
+ * Split extracted text back into pages using the
+ * `--- END OF PAGE n (source: s) ---` markers emitted by extractPages
+ */
+export function splitPages(text) {
+  const pages = [];
+  let lastIndex = 0;
+  let match;
+
+  PAGE_MARKER.lastIndex = 0;
+
+  while ((match = PAGE_MARKER.exec(text)) !== null) {
+    const pageText = text.slice(lastIndex, match.index).trim();
+
+    if (pageText) {
+      pages.push({
+        page: Number(match[1]),
+        source: match[2] ?? "text",
+        text: pageText
+      });
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  // Trailing text without a marker (should not happen with extractPages)
+  const rest = text.slice(lastIndex).trim();
+  if (rest) {
+    pages.push({ page: null, source: "text", text: rest });
+  }
+
+  return pages;
+}
+
+/**
+ * page → source from the page markers, including pages without text
+ * (which splitPages leaves out)
+ */
+export function pageSources(text) {
+  return new Map(
+    [...text.matchAll(PAGE_MARKER)].map(match => [Number(match[1]), match[2] ?? "text"])
+  );
+}
+
+/**
+ * Split a single page into overlapping windows on word boundaries
+ */
+function splitPageText(text, maxChars, overlapChars) {
+  if (text.length <= maxChars) {
+    return [text];
+  }
+
+  const words = text.split(/\s+/);
+  const parts = [];
+  let current = [];
+  let length = 0;
+
+  for (const word of words) {
+    if (length + word.length + 1 > maxChars && current.length > 0) {
+      parts.push(current.join(" "));
+
+      // Carry the tail of the previous window over as overlap
+      const carried = [];
+      let carriedLength = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        carriedLength += current[i].length + 1;
+        if (carriedLength > overlapChars) break;
+        carried.unshift(current[i]);
+      }
+
+      current = carried;
+      length = carried.join(" ").length;
+    }
+
+    current.push(word);
+    length += word.length + 1;
+  }
+
+  if (current.length > 0) {
+    parts.push(current.join(" "));
+  }
+
+  return parts;
+}
+
+/**
+ * Turn a document's extracted text into page-attributed chunks
+ */
+export function chunkDocument(doc, text, options = {}) {
+  const {
+    maxChars = 1200,
+    overlapChars = 200,
+  } = options;
+
+  const chunks = [];
+
+  for (const { page, source, text: pageText } of splitPages(text)) {
+    const parts = splitPageText(pageText, maxChars, overlapChars);
+
+    parts.forEach((part, index) => {
+      chunks.push({
+        documentId: doc.document_id,
+        blobDirectory: doc.blob_directory,
+        page,
+        source,
+        part: index,
+        text: part
+      });
+    });
+  }
+
+  return chunks;
+}
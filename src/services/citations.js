@@ -0,0 +1,71 @@
+// src/services/citations.js
+
+import { parseBlobUrl } from "./blobDocuments.js";
+
+const SOURCE_TAG = /\[(S\d+(?:\s*,\s*S\d+)*)\]/g;
+
+/**
+ * Source ids (e.g. "S1") the answer cites, in order of first use
+ */
+export function parseCitedSources(answer) {
+  const cited = [];
+
+  for (const match of (answer || "").matchAll(SOURCE_TAG)) {
+    for (const id of match[1].split(",")) {
+      const sourceId = id.trim();
+      if (!cited.includes(sourceId)) {
+        cited.push(sourceId);
+      }
+    }
+  }
+
+  return cited;
+}
+
+/**
+ * Answer without its [S#] tags (they only mean something next to the
+ * sources of the turn that produced them)
+ */
+export function stripSourceTags(answer) {
+  return (answer || "").replace(/[ \t]*\[S\d+(?:\s*,\s*S\d+)*\]/g, "");
+}
+
+/**
+ * Map the answer's [S#] tags back to the selected chunks and group
+ * them into one citation per document:
+ *   { document_id, blob_name, pages: [..], sources: ["S1", ..] }
+ */
+export function buildCitations(answer, selectedChunks) {
+  const bySource = new Map(selectedChunks.map(c => [c.sourceId, c]));
+  const byDocument = new Map();
+
+  for (const sourceId of parseCitedSources(answer)) {
+    const chunk = bySource.get(sourceId);
+    if (!chunk) continue; // model invented a tag
+
+    if (!byDocument.has(chunk.documentId)) {
+      byDocument.set(chunk.documentId, {
+        document_id: chunk.documentId,
+        blob_name: null,
+        pages: [],
+        sources: []
+      });
+    }
+
+    const citation = byDocument.get(chunk.documentId);
+
+    if (!citation.blob_name && chunk.blobDirectory) {
+      citation.blob_name = parseBlobUrl(chunk.blobDirectory).blobName;
+    }
+
+    if (chunk.page != null && !citation.pages.includes(chunk.page)) {
+      citation.pages.push(chunk.page);
+    }
+    citation.sources.push(sourceId);
+  }
+
+  return [...byDocument.values()].map(citation => ({
+    ...citation,
+    pages: citation.pages.sort((a, b) => a - b)
+  }));
+}
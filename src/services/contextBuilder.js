@@ -0,0 +1,62 @@
+// src/services/contextBuilder.js
+
+/**
+ * Rough token estimate (~4 chars per token)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(Buffer.byteLength(text || "", "utf8") / 4);
+}
+
+/**
+ * Pack the highest-ranked chunks into the prompt within a token budget.
+ * Selected chunks are regrouped per document in page order so the model
+ * sees `===== DOCUMENT id =====` headers and `--- END OF PAGE n ---` markers.
+ * Each chunk is tagged `[S1]`, `[S2]`, ... so the answer can cite it.
+ */
+export function buildContext(rankedChunks, options = {}) {
+  const { tokenBudget = 3000 } = options;
+
+  const selected = [];
+  let usedTokens = 0;
+
+  for (const chunk of rankedChunks) {
+    const cost = estimateTokens(chunk.text) + 14; // marker + tag overhead
+
+    if (usedTokens + cost > tokenBudget) {
+      continue;
+    }
+
+    selected.push(chunk);
+    usedTokens += cost;
+  }
+
+  const byDocument = new Map();
+  for (const chunk of selected) {
+    if (!byDocument.has(chunk.documentId)) {
+      byDocument.set(chunk.documentId, []);
+    }
+    byDocument.get(chunk.documentId).push(chunk);
+  }
+
+  let combinedText = "";
+  let sourceNumber = 0;
+
+  for (const [documentId, chunks] of byDocument) {
+    chunks.sort((x, y) => (x.page ?? 0) - (y.page ?? 0) || x.part - y.part);
+
+    combinedText += `===== DOCUMENT ${documentId} =====\n`;
+
+    for (const chunk of chunks) {
+      chunk.sourceId = `S${++sourceNumber}`;
+
+      const marker = chunk.page != null ? `--- END OF PAGE ${chunk.page} ---` : "";
+      combinedText += `[${chunk.sourceId}]\n${chunk.text}\n${marker}\n\n`;
+    }
+  }
+
+  return {
+    combinedText: combinedText.trim(),
+    selected,
+    usedTokens
+  };
+}
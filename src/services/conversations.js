@@ -0,0 +1,200 @@
+// src/services/conversations.js
+
+import { queryDb } from "../db.js";
+import { estimateTokens } from "./contextBuilder.js";
+import { stripSourceTags } from "./citations.js";
+import { DEFAULT_REFUSAL_MESSAGE } from "./promptTemplates.js";
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isConversationId(value) {
+  return typeof value === "string" && UUID_PATTERN.test(value);
+}
+
+/**
+ * Start a new conversation; the first question becomes its title
+ */
+export async function createConversation({ username, serviceId, submodule, question }) {
+  const result = await queryDb(
+    `
+    INSERT INTO chat.conversations
+      (conversation_id, username, service_id, submodule, title, created_date, updated_date)
+    OUTPUT inserted.conversation_id
+    VALUES (NEWID(), ?, ?, ?, ?, SYSDATETIME(), SYSDATETIME())
+    `,
+    [
+      username,
+      serviceId,
+      submodule || null,
+      question.slice(0, 200)
+    ]
+  );
+
+  return result.recordset[0].conversation_id;
+}
+
+/**
+ * Fetch an active conversation owned by the user, or null
+ */
+export async function getConversation(conversationId, username) {
+  if (!isConversationId(conversationId)) {
+    return null;
+  }
+
+  const result = await queryDb(
+    `
+    SELECT
+      conversation_id,
+      username,
+      service_id,
+      submodule,
+      title,
+      created_date,
+      updated_date
+    FROM chat.conversations
+    WHERE conversation_id = ?
+      AND username = ?
+      AND deleted_date IS NULL
+    `,
+    [conversationId, username]
+  );
+
+  return result.recordset[0] ?? null;
+}
+
+/**
+ * List a user's active conversations, most recent first
+ */
+export async function listConversations(username) {
+  const result = await queryDb(
+    `
+    SELECT
+      c.conversation_id,
+      c.service_id,
+      s.service_name,
+      c.submodule,
+      c.title,
+      c.created_date,
+      c.updated_date
+    FROM chat.conversations c
+    INNER JOIN knowledge.services s
+      ON c.service_id = s.service_id
+    WHERE c.username = ?
+      AND c.deleted_date IS NULL
+    ORDER BY c.updated_date DESC
+    `,
+    [username]
+  );
+
+  return result.recordset;
+}
+
+/**
+ * All turns of a conversation in chronological order
+ */
+export async function getConversationTurns(conversationId) {
+  const result = await queryDb(
+    `
+    SELECT
+      question,
+      answer,
+      citations,
+      created_date
+    FROM chat.logs
+    WHERE conversation_id = ?
+    ORDER BY created_date
+    `,
+    [conversationId]
+  );
+
+  return result.recordset.map(turn => ({
+    ...turn,
+    citations: JSON.parse(turn.citations || "[]")
+  }));
+}
+
+// Matches the refusal even when the model wraps it in quotes
+function isRefusal(answer, refusalMessage) {
+  return (answer || "").includes(refusalMessage.replace(/\.$/, ""));
+}
+
+/**
+ * Prior turns as chat messages, newest kept first until the
+ * token budget or turn limit is reached.
+ * Refusals are left out and [S#] tags stripped: both refer to the sources
+ * of their own turn, and the model would repeat them as if they were current.
+ */
+export async function loadHistory(conversationId, { tokenBudget, maxTurns }) {
+  // Each answer is checked against the refusal of the prompt version it was generated with
+  const result = await queryDb(
+    `
+    SELECT
+      l.question,
+      l.answer,
+      COALESCE(p.refusal_message, ?) AS refusal_message
+    FROM chat.logs l
+    LEFT JOIN knowledge.service_prompts p
+      ON p.service_id = l.service_id
+      AND p.version = l.prompt_version
+    WHERE l.conversation_id = ?
+    ORDER BY l.created_date
+    `,
+    [DEFAULT_REFUSAL_MESSAGE, conversationId]
+  );
+
+  const turns = result.recordset
+    .filter(turn => !isRefusal(turn.answer, turn.refusal_message))
+    .map(turn => ({ question: turn.question, answer: stripSourceTags(turn.answer).trim() }));
+
+  const kept = [];
+  let usedTokens = 0;
+
+  for (let i = turns.length - 1; i >= 0 && kept.length < maxTurns; i--) {
+    const { question, answer } = turns[i];
+    const cost = estimateTokens(question) + estimateTokens(answer);
+
+    if (usedTokens + cost > tokenBudget) break;
+
+    kept.unshift(
+      { role: "user", content: question },
+      { role: "assistant", content: answer }
+    );
+    usedTokens += cost;
+  }
+
+  return kept;
+}
+
+export async function touchConversation(conversationId) {
+  await queryDb(
+    `
+    UPDATE chat.conversations
+    SET updated_date = SYSDATETIME()
+    WHERE conversation_id = ?
+    `,
+    [conversationId]
+  );
+}
+
+/**
+ * Soft delete; returns false when nothing matched
+ */
+export async function deleteConversation(conversationId, username) {
+  if (!isConversationId(conversationId)) {
+    return false;
+  }
+
+  const result = await queryDb(
+    `
+    UPDATE chat.conversations
+    SET deleted_date = SYSDATETIME()
+    WHERE conversation_id = ?
+      AND username = ?
+      AND deleted_date IS NULL
+    `,
+    [conversationId, username]
+  );
+
+  return result.rowsAffected[0] > 0;
+}
@@ -0,0 +1,95 @@
+// src/services/documentFormats.js
+
+import path from "path";
+
+import { extractPages, countPages } from "./pdfExtractor.js";
+import { renderSections } from "./extractors/sections.js";
+import { docxFormat } from "./extractors/docxExtractor.js";
+import { htmlFormat } from "./extractors/htmlExtractor.js";
+import { markdownFormat } from "./extractors/markdownExtractor.js";
+import { textFormat } from "./extractors/textExtractor.js";
+
+const pdfFormat = {
+  name: "pdf",
+  contentTypes: ["application/pdf"],
+  extensions: [".pdf"],
+
+  looksValid(buffer) {
+    return buffer.subarray(0, 5).toString("latin1") === "%PDF-";
+  },
+
+  count: buffer => countPages(buffer),
+
+  extract: (buffer, { fromPage, toPage, skipPages }) =>
+    extractPages(buffer, fromPage, toPage, skipPages)
+};
+
+// Formats without pages: sections stand in for pages
+function sectionFormat(format) {
+  return {
+    looksValid: () => true,
+    ...format,
+
+    async count(buffer) {
+      return (await format.splitSections(buffer)).length;
+    },
+
+    async extract(buffer, pageConfig) {
+      return renderSections(await format.splitSections(buffer), pageConfig);
+    }
+  };
+}
+
+const FORMATS = [
+  pdfFormat,
+  sectionFormat(docxFormat),
+  sectionFormat(htmlFormat),
+  sectionFormat(markdownFormat),
+  sectionFormat(textFormat)
+];
+
+export const SUPPORTED_EXTENSIONS = FORMATS.flatMap(f => f.extensions);
+
+function extensionOf(name) {
+  if (!name) return "";
+
+  // Blob URLs: ignore query strings and URL escaping
+  const pathname = name.split("?")[0];
+  try {
+    return path.extname(decodeURIComponent(pathname)).toLowerCase();
+  } catch {
+    return path.extname(pathname).toLowerCase();
+  }
+}
+
+/**
+ * Pick the extractor for a document: magic bytes first (a PDF or DOCX is
+ * read as one whatever it was declared as), then the content type (unless
+ * it is the generic application/octet-stream), then the file extension.
+ * Returns null for unsupported formats.
+ */
+export function detectFormat({ contentType, name, buffer } = {}) {
+  if (buffer) {
+    if (pdfFormat.looksValid(buffer)) return pdfFormat;
+    if (docxFormat.looksValid(buffer)) return FORMATS.find(f => f.name === "docx");
+  }
+
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+
+  if (type && type !== "application/octet-stream") {
+    const byType = FORMATS.find(f => f.contentTypes.includes(type));
+    if (byType) return byType;
+  }
+
+  const extension = extensionOf(name);
+  return FORMATS.find(f => f.extensions.includes(extension)) ?? null;
+}
+
+/**
+ * Content type to store a blob of this format with
+ */
+export function contentTypeOf(format) {
+  return format.name === "text" || format.name === "markdown" || format.name === "html"
+    ? `${format.contentTypes[0]}; charset=utf-8`
+    : format.contentTypes[0];
+}
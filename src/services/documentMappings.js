@@ -0,0 +1,143 @@
+// src/services/documentMappings.js
+
+import { queryDb } from "../db.js";
+
+/**
+ * Validate page_to_skip input and serialize it for the DB
+ */
+export function normalizePageToSkip(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+
+  if (!Array.isArray(input)) {
+    throw new Error("page_to_skip must be an array of integers");
+  }
+
+  const normalized = input
+    .map(n => Number(n))
+    .filter(n => Number.isInteger(n) && n > 0);
+
+  if (normalized.length !== input.length) {
+    throw new Error("page_to_skip must contain only positive integers");
+  }
+
+  return JSON.stringify(normalized);
+}
+
+/**
+ * Form / query string fields arrive as strings: accept "[3,4]" or "3,4"
+ */
+export function parsePageToSkipField(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value.split(",").map(v => v.trim());
+  }
+}
+
+/**
+ * Page range rules shared by every way of creating a mapping:
+ * positive integers (or null) and from ≤ to. Returns an error message or null.
+ */
+export function pageRangeError(pageFrom, pageTo) {
+  if (
+    (pageFrom != null && (!Number.isInteger(pageFrom) || pageFrom < 1)) ||
+    (pageTo != null && (!Number.isInteger(pageTo) || pageTo < 1))
+  ) {
+    return "page_from_inclusive and page_to_inclusive must be positive integers";
+  }
+
+  if (pageFrom != null && pageTo != null && pageFrom > pageTo) {
+    return "page_from_inclusive cannot be greater than page_to_inclusive";
+  }
+
+  return null;
+}
+
+/**
+ * service_id from a JSON body or form field as a positive integer, or null
+ */
+export function parseServiceId(value) {
+  const id = typeof value === "string" && value.trim() ? Number(value) : value;
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/*
+ * The DB helpers below take an optional `query` (queryDb by default) so
+ * they can run inside withTransaction.
+ */
+
+/**
+ * Exact-duplicate safeguard — same service, submodule, blob and page range.
+ * Pass excludeId to ignore the row being updated.
+ */
+export async function hasDuplicateMapping(mapping, excludeId = null, query = queryDb) {
+  return (await findDuplicateMapping(mapping, excludeId, query)) !== null;
+}
+
+/**
+ * The active mapping hasDuplicateMapping would match
+ * ({ document_id, page_to_skip }), or null
+ */
+export async function findDuplicateMapping(mapping, excludeId = null, query = queryDb) {
+  const result = await query(
+    `
+    SELECT document_id, page_to_skip
+    FROM knowledge.documents
+    WHERE service_id = ?
+      AND service_submodule = ?
+      AND blob_directory = ?
+      AND ISNULL(page_from_inclusive, -1) = ISNULL(?, -1)
+      AND ISNULL(page_to_inclusive, -1) = ISNULL(?, -1)
+      AND deleted_date IS NULL
+      AND (? IS NULL OR document_id <> ?)
+    `,
+    [
+      mapping.service_id,
+      mapping.service_submodule,
+      mapping.blob_directory,
+      mapping.page_from_inclusive ?? null,
+      mapping.page_to_inclusive ?? null,
+      excludeId,
+      excludeId
+    ]
+  );
+
+  return result.recordset[0] ?? null;
+}
+
+/**
+ * Insert a document mapping (ingestion_status 'pending');
+ * page_to_skip must already be normalized
+ */
+export async function insertDocumentMapping(mapping, query = queryDb) {
+  const result = await query(
+    `
+    INSERT INTO knowledge.documents (
+      service_id,
+      service_submodule,
+      blob_directory,
+      page_from_inclusive,
+      page_to_inclusive,
+      page_to_skip,
+      ingestion_status,
+      created_date
+    )
+    OUTPUT inserted.document_id
+    VALUES (?, ?, ?, ?, ?, ?, 'pending', SYSDATETIME())
+    `,
+    [
+      mapping.service_id,
+      mapping.service_submodule,
+      mapping.blob_directory,
+      mapping.page_from_inclusive ?? null,
+      mapping.page_to_inclusive ?? null,
+      mapping.page_to_skip ?? null
+    ]
+  );
+
+  return result.recordset[0].document_id;
+}
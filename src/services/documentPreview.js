@@ -0,0 +1,123 @@
+// src/services/documentPreview.js
+
+import { config } from "../config.js";
+import { downloadBlob } from "./blobDocuments.js";
+import { detectFormat, SUPPORTED_EXTENSIONS } from "./documentFormats.js";
+import { buildPageFilter } from "./pageFilter.js";
+import { validatePageFilter } from "./ingestion.js";
+import { splitPages, pageSources, chunkDocument } from "./chunker.js";
+import { rankChunks } from "./bm25.js";
+import { buildContext, estimateTokens } from "./contextBuilder.js";
+
+import { HttpError } from "../utils/httpError.js";
+
+function skipReason(page, { fromPage, toPage, skipPages }) {
+  if (page < fromPage) return "before page_from_inclusive";
+  if (toPage && page > toPage) return "after page_to_inclusive";
+  if (skipPages.includes(page)) return "page_to_skip";
+  return null;
+}
+
+/**
+ * Run a document row through the same download → page filter → extraction
+ * → chunking → context packing path as /api/chat, without touching the
+ * text cache or the search index.
+ * `question` ranks the chunks like a real chat would; without it chunks
+ * are packed in document order.
+ */
+export async function previewDocument(doc, { question, includeText = true } = {}) {
+  const pageConfig = buildPageFilter(doc);
+  const download = await downloadBlob(doc.blob_directory);
+
+  const format = detectFormat({
+    contentType: download.contentType,
+    name: doc.blob_directory,
+    buffer: download.buffer
+  });
+
+  if (!format) {
+    throw new HttpError(
+      422,
+      `Unsupported document format (supported: ${SUPPORTED_EXTENSIONS.join(", ")})`
+    );
+  }
+
+  const pageCount = await format.count(download.buffer);
+
+  const filterError = validatePageFilter(pageConfig, pageCount);
+  if (filterError) {
+    throw new HttpError(400, filterError);
+  }
+
+  const text = await format.extract(download.buffer, pageConfig);
+
+  /* -----------------------------------
+     Per-page breakdown
+  ----------------------------------- */
+  const extracted = new Map(splitPages(text).map(p => [p.page, p]));
+  const sources = pageSources(text);
+  const pages = [];
+  const skippedPages = [];
+
+  for (let page = 1; page <= pageCount; page++) {
+    const reason = skipReason(page, pageConfig);
+
+    if (reason) {
+      skippedPages.push({ page, reason });
+      continue;
+    }
+
+    const pageText = extracted.get(page)?.text ?? "";
+
+    pages.push({
+      page,
+      source: sources.get(page) ?? "empty",
+      chars: pageText.length,
+      tokens: estimateTokens(pageText),
+      ...(includeText ? { text: pageText } : {})
+    });
+  }
+
+  /* -----------------------------------
+     What survives the context budget
+  ----------------------------------- */
+  const chunks = chunkDocument(doc, text, {
+    maxChars: config.retrieval.chunkChars,
+    overlapChars: config.retrieval.chunkOverlap
+  });
+
+  const ordered = question ? rankChunks(chunks, question) : chunks;
+  const { selected, usedTokens } = buildContext(ordered, {
+    tokenBudget: config.retrieval.contextTokens
+  });
+
+  const totalTokens = pages.reduce((sum, p) => sum + p.tokens, 0);
+
+  return {
+    document_id: doc.document_id,
+    format: format.name,
+    page_count: pageCount,
+    page_filter: {
+      page_from_inclusive: pageConfig.fromPage,
+      page_to_inclusive: pageConfig.toPage,
+      page_to_skip: pageConfig.skipPages
+    },
+    totals: {
+      pages_kept: pages.length,
+      empty_pages: pages.filter(p => p.chars === 0).map(p => p.page),
+      chars: pages.reduce((sum, p) => sum + p.chars, 0),
+      tokens: totalTokens
+    },
+    skipped_pages: skippedPages,
+    context: {
+      token_budget: config.retrieval.contextTokens,
+      ranked_by: question ? "question" : "document order",
+      chunks: chunks.length,
+      selected_chunks: selected.length,
+      selected_tokens: usedTokens,
+      fits_entirely: selected.length === chunks.length,
+      selected_pages: [...new Set(selected.map(c => c.page))].sort((a, b) => a - b)
+    },
+    pages
+  };
+}
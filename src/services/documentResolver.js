@@ -7,6 +7,7 @@ import { queryDb } from "../db.js";
  * Implements fallback logic:
  *  1) submodule-specific documents
  *  2) shared documents (service-level)
+ * Only documents whose ingestion finished ('ready') are returned.
  */
 export async function resolveDocuments(serviceId, submodule) {
   // 1️⃣ Try submodule-specific documents
@@ -14,6 +15,7 @@ export async function resolveDocuments(serviceId, submodule) {
     `
     SELECT
       document_id,
+      service_submodule,
       blob_directory,
       page_from_inclusive,
       page_to_inclusive,
@@ -22,6 +24,7 @@ export async function resolveDocuments(serviceId, submodule) {
     WHERE service_id = ?
       AND service_submodule = ?
       AND deleted_date IS NULL
+      AND ingestion_status = 'ready'
     ORDER BY document_id
     `,
     [serviceId, submodule]
@@ -36,6 +39,7 @@ export async function resolveDocuments(serviceId, submodule) {
     `
     SELECT
       document_id,
+      service_submodule,
       blob_directory,
       page_from_inclusive,
       page_to_inclusive,
@@ -44,6 +48,7 @@ export async function resolveDocuments(serviceId, submodule) {
     WHERE service_id = ?
       AND service_submodule = 'shared'
       AND deleted_date IS NULL
+      AND ingestion_status = 'ready'
     ORDER BY document_id
     `,
     [serviceId]
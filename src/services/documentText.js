@@ -0,0 +1,79 @@
+// src/services/documentText.js
+
+import { getBlobVersion, downloadBlob } from "./blobDocuments.js";
+import { detectFormat } from "./documentFormats.js";
+import { buildPageFilter } from "./pageFilter.js";
+import { hasFailedOcr } from "./pdfExtractor.js";
+import {
+  buildCacheKey,
+  getCachedText,
+  saveCachedText
+} from "./textCache.js";
+
+/**
+ * Load the extracted page text for a document row.
+ * Reads from the text cache when the blob and page filter are unchanged,
+ * otherwise downloads + extracts the document (PDF, DOCX, HTML, Markdown
+ * or text — see documentFormats.js) and stores the result.
+ * Pass `download` (from downloadBlob) when the blob is already downloaded;
+ * its own version then keys the cache, so a blob overwritten since the
+ * download is never cached under the newer ETag.
+ * `readOnly` reads the cache but never writes it (dry runs).
+ */
+export async function loadDocumentText(doc, { download, readOnly = false } = {}) {
+  const pageConfig = buildPageFilter(doc);
+
+  if (!pageConfig || !pageConfig.fromPage) {
+    throw new Error(`Invalid page filter for document ${doc.document_id}`);
+  }
+
+  const version = download ? download.version : await getBlobVersion(doc.blob_directory);
+  const cacheKey = buildCacheKey(doc.blob_directory, version, pageConfig);
+
+  const cached = await getCachedText(doc.document_id, cacheKey);
+
+  if (cached !== null) {
+    console.log(`📦 Text cache hit for document ${doc.document_id}`);
+    return cached;
+  }
+
+  console.log(`📄 Text cache miss for document ${doc.document_id}`);
+
+  const { buffer, contentType, version: downloaded } =
+    download ?? await downloadBlob(doc.blob_directory);
+
+  const format = detectFormat({ contentType, name: doc.blob_directory, buffer });
+
+  if (!format) {
+    throw new Error(`Unsupported document format for document ${doc.document_id}`);
+  }
+
+  const text = await format.extract(buffer, pageConfig);
+
+  if (readOnly) {
+    return text;
+  }
+
+  if (hasFailedOcr(text)) {
+    // Serve what we have, but retry the OCR on the next load
+    console.warn(`⚠️ OCR failed for document ${doc.document_id}; text not cached`);
+    return text;
+  }
+
+  // Keyed by the version actually extracted, which may be newer than `version`
+  const savedKey = buildCacheKey(doc.blob_directory, downloaded, pageConfig);
+
+  try {
+    await saveCachedText(doc.document_id, savedKey, {
+      blobUrl: doc.blob_directory,
+      etag: downloaded.etag,
+      pageConfig,
+      text
+    });
+  } catch (err) {
+    // A failed cache write must not fail the chat itself
+    console.warn(`⚠️ Could not cache text for document ${doc.document_id}:`, err.message);
+  }
+
+  return text;
+}
@@ -0,0 +1,25 @@
+// src/services/extractors/docxExtractor.js
+
+import { splitHtmlSections } from "./htmlExtractor.js";
+
+/**
+ * Word documents: converted to HTML with mammoth (lazily imported),
+ * then split into sections on Heading 1 / Heading 2
+ */
+export const docxFormat = {
+  name: "docx",
+  contentTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  extensions: [".docx"],
+
+  // DOCX is a zip container
+  looksValid(buffer) {
+    return buffer.subarray(0, 2).toString("latin1") === "PK";
+  },
+
+  async splitSections(buffer) {
+    const { default: mammoth } = await import("mammoth");
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+
+    return splitHtmlSections(html);
+  }
+};
@@ -0,0 +1,77 @@
+// src/services/extractors/htmlExtractor.js
+
+import { splitOnHeadings } from "./sections.js";
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  deg: "°",
+  micro: "µ",
+  copy: "©",
+  reg: "®",
+  trade: "™"
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x"
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Marks h1/h2 starts in the flattened text so sections can be split on them
+const HEADING_MARK = "\u0000H\u0000";
+
+/**
+ * Flatten HTML to readable text, keeping block boundaries as line breaks.
+ * Scripts, styles and navigation chrome are dropped.
+ */
+export function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(script|style|noscript|nav|header|footer|template)\b[\s\S]*?<\/\1>/gi, "")
+      .replace(/<h[12]\b[^>]*>/gi, `\n${HEADING_MARK}`)
+      .replace(/<li\b[^>]*>/gi, "\n- ")
+      .replace(/<(td|th)\b[^>]*>/gi, " | ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/?(p|div|section|article|h[1-6]|ul|ol|tr|table|pre|blockquote)\b[^>]*>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n");
+}
+
+/**
+ * HTML → sections, one per h1/h2 heading
+ */
+export function splitHtmlSections(html) {
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+  const text = htmlToText(body);
+
+  return splitOnHeadings(text, new RegExp(`^${HEADING_MARK}`))
+    .map(section => section.replaceAll(HEADING_MARK, ""));
+}
+
+export const htmlFormat = {
+  name: "html",
+  contentTypes: ["text/html", "application/xhtml+xml"],
+  extensions: [".html", ".htm", ".xhtml"],
+
+  async splitSections(buffer) {
+    return splitHtmlSections(buffer.toString("utf8"));
+  }
+};
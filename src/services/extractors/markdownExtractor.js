@@ -0,0 +1,38 @@
+// src/services/extractors/markdownExtractor.js
+
+import { splitOnHeadings } from "./sections.js";
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^#{1,2}\s/;
+
+// Marks real headings (not `#` lines inside code fences)
+const HEADING_MARK = "\u0000H\u0000";
+
+/**
+ * Markdown → sections, one per `#` / `##` heading
+ */
+export function splitMarkdownSections(markdown) {
+  let inFence = false;
+
+  const marked = markdown
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map(line => {
+      if (FENCE.test(line)) inFence = !inFence;
+      return !inFence && HEADING.test(line) ? HEADING_MARK + line : line;
+    })
+    .join("\n");
+
+  return splitOnHeadings(marked, new RegExp(`^${HEADING_MARK}`))
+    .map(section => section.replaceAll(HEADING_MARK, ""));
+}
+
+export const markdownFormat = {
+  name: "markdown",
+  contentTypes: ["text/markdown", "text/x-markdown"],
+  extensions: [".md", ".markdown"],
+
+  async splitSections(buffer) {
+    return splitMarkdownSections(buffer.toString("utf8"));
+  }
+};
@@ -0,0 +1,80 @@
+// src/services/extractors/sections.js
+
+/**
+ * Shared helpers for formats without real pages: the document is split
+ * into sections and each section plays the role of a page, so page
+ * filters and `--- END OF PAGE n ---` markers work unchanged.
+ */
+
+// Plain text without headings is cut into blocks of about this size
+const TEXT_SECTION_CHARS = 4000;
+
+/**
+ * Apply a page filter to sections (section n = page n) and emit the same
+ * marked text extractPages produces for PDFs
+ */
+export function renderSections(sections, { fromPage, toPage, skipPages }) {
+  let text = "";
+
+  sections.forEach((section, index) => {
+    const number = index + 1;
+
+    if (number < fromPage) return;
+    if (toPage && number > toPage) return;
+    if (skipPages.includes(number)) return;
+
+    const body = section.trim();
+    text += body;
+    text += `\n\n--- END OF PAGE ${number} (source: ${body ? "text" : "empty"}) ---\n\n`;
+  });
+
+  return text.trim();
+}
+
+/**
+ * Split plain text into sections: form feeds are explicit breaks,
+ * otherwise paragraphs are packed into ~TEXT_SECTION_CHARS blocks
+ */
+export function splitTextSections(text) {
+  const normalized = text.replace(/\r\n?/g, "\n");
+
+  if (normalized.includes("\f")) {
+    return normalized.split("\f").filter(s => s.trim());
+  }
+
+  const sections = [];
+  let current = "";
+
+  for (const paragraph of normalized.split(/\n\s*\n/)) {
+    if (current && current.length + paragraph.length > TEXT_SECTION_CHARS) {
+      sections.push(current);
+      current = "";
+    }
+    current += (current ? "\n\n" : "") + paragraph.trim();
+  }
+
+  if (current.trim()) sections.push(current);
+
+  return sections;
+}
+
+/**
+ * Split on top-level headings; text before the first heading
+ * becomes its own section
+ */
+export function splitOnHeadings(text, headingPattern) {
+  const sections = [];
+  let current = "";
+
+  for (const line of text.split("\n")) {
+    if (headingPattern.test(line) && current.trim()) {
+      sections.push(current);
+      current = "";
+    }
+    current += line + "\n";
+  }
+
+  if (current.trim()) sections.push(current);
+
+  return sections.length > 0 ? sections : [""];
+}
@@ -0,0 +1,13 @@
+// src/services/extractors/textExtractor.js
+
+import { splitTextSections } from "./sections.js";
+
+export const textFormat = {
+  name: "text",
+  contentTypes: ["text/plain"],
+  extensions: [".txt", ".text"],
+
+  async splitSections(buffer) {
+    return splitTextSections(buffer.toString("utf8"));
+  }
+};
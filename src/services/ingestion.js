@@ -0,0 +1,272 @@
+// src/services/ingestion.js
+
+import { queryDb } from "../db.js";
+
+import { downloadBlob } from "./blobDocuments.js";
+import { detectFormat, SUPPORTED_EXTENSIONS } from "./documentFormats.js";
+import { buildPageFilter } from "./pageFilter.js";
+import { loadDocumentText } from "./documentText.js";
+import { invalidateCachedText } from "./textCache.js";
+import { indexDocument, getSearchBackend } from "./searchService.js";
+
+export const INGESTION_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  READY: "ready",
+  FAILED: "failed",
+};
+
+// A 'processing' claim older than this is taken to be from a crashed instance
+const STALE_CLAIM_MINUTES = 30;
+
+// Deleted documents keep their last status; returns false when none was set
+async function setStatus(documentId, status, fields = {}) {
+  const result = await queryDb(
+    `
+    UPDATE knowledge.documents
+    SET
+      ingestion_status = ?,
+      ingestion_error = ?,
+      page_count = COALESCE(?, page_count),
+      ingested_date = CASE WHEN ? = 'ready' THEN SYSDATETIME() ELSE ingested_date END,
+      ingestion_claimed_date = CASE WHEN ? = 'processing' THEN SYSDATETIME() ELSE ingestion_claimed_date END
+    WHERE document_id = ?
+      AND deleted_date IS NULL
+    `,
+    [
+      status,
+      fields.error ?? null,
+      fields.pageCount ?? null,
+      status,
+      status,
+      documentId
+    ]
+  );
+
+  return result.rowsAffected[0] > 0;
+}
+
+async function isActive(documentId) {
+  const result = await queryDb(
+    `
+    SELECT 1 AS active
+    FROM knowledge.documents
+    WHERE document_id = ?
+      AND deleted_date IS NULL
+    `,
+    [documentId]
+  );
+
+  return result.recordset.length > 0;
+}
+
+/**
+ * Check the page filter against the real page count.
+ * Returns an error message, or null when the filter is usable.
+ */
+export function validatePageFilter(pageConfig, pageCount) {
+  const { fromPage, toPage, skipPages } = pageConfig;
+
+  if (fromPage > pageCount) {
+    return `page_from_inclusive (${fromPage}) exceeds the document's ${pageCount} pages`;
+  }
+
+  if (toPage && toPage > pageCount) {
+    return `page_to_inclusive (${toPage}) exceeds the document's ${pageCount} pages`;
+  }
+
+  const lastPage = toPage ?? pageCount;
+  let kept = 0;
+
+  for (let page = fromPage; page <= lastPage; page++) {
+    if (!skipPages.includes(page)) kept++;
+  }
+
+  if (kept === 0) {
+    return "page filter excludes every page";
+  }
+
+  return null;
+}
+
+/**
+ * Ingest one document: download, count pages (sections for formats
+ * without pages), validate the page filter,
+ * extract + cache the text and push it into the search index.
+ * The outcome is recorded in knowledge.documents.ingestion_status.
+ */
+export async function runIngestion(documentId) {
+  const result = await queryDb(
+    `
+    SELECT
+      document_id,
+      service_id,
+      service_submodule,
+      blob_directory,
+      page_from_inclusive,
+      page_to_inclusive,
+      page_to_skip
+    FROM knowledge.documents
+    WHERE document_id = ?
+      AND deleted_date IS NULL
+    `,
+    [documentId]
+  );
+
+  if (result.recordset.length === 0) {
+    return;
+  }
+
+  const doc = result.recordset[0];
+
+  console.log(`⚙️ Ingesting document ${documentId}`);
+  await setStatus(documentId, INGESTION_STATUS.PROCESSING);
+
+  try {
+    let download;
+
+    try {
+      download = await downloadBlob(doc.blob_directory);
+    } catch (err) {
+      throw new Error(`Could not download blob_directory: ${err.message}`);
+    }
+
+    const format = detectFormat({
+      contentType: download.contentType,
+      name: doc.blob_directory,
+      buffer: download.buffer
+    });
+
+    if (!format) {
+      throw new Error(
+        `Unsupported document format (supported: ${SUPPORTED_EXTENSIONS.join(", ")})`
+      );
+    }
+
+    let pageCount;
+
+    try {
+      pageCount = await format.count(download.buffer);
+    } catch (err) {
+      throw new Error(`${format.name.toUpperCase()} could not be parsed: ${err?.message ?? err}`);
+    }
+
+    const filterError = validatePageFilter(buildPageFilter(doc), pageCount);
+
+    if (filterError) {
+      throw new Error(filterError);
+    }
+
+    // Always re-extract so a fresh ingestion never reuses an old cache entry
+    await invalidateCachedText(documentId);
+    const text = await loadDocumentText(doc, { download });
+
+    // The document may have been deleted while it was being extracted
+    if (!(await isActive(documentId))) {
+      console.log(`🗑 Document ${documentId} was deleted during ingestion; not indexed`);
+      return;
+    }
+
+    await indexDocument(doc, text);
+
+    if (!(await setStatus(documentId, INGESTION_STATUS.READY, { pageCount }))) {
+      // Deleted while indexing: its delete may already have cleared the index
+      await getSearchBackend().removeDocument(documentId);
+      console.log(`🗑 Document ${documentId} was deleted during ingestion; index entries removed`);
+      return;
+    }
+
+    console.log(`✅ Document ${documentId} ingested (${format.name}, ${pageCount} pages)`);
+  } catch (err) {
+    console.error(`❌ Ingestion failed for document ${documentId}:`, err.message);
+
+    await setStatus(documentId, INGESTION_STATUS.FAILED, {
+      error: err.message
+    });
+  }
+}
+
+/* ---------------------------------------
+   In-process queue — one document at a time,
+   so a bulk of PDFs never parses in parallel
+---------------------------------------- */
+const queue = [];
+const queued = new Set();
+let draining = false;
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+
+  while (queue.length > 0) {
+    const documentId = queue.shift();
+    queued.delete(documentId);
+
+    try {
+      await runIngestion(documentId);
+    } catch (err) {
+      // Status update itself failed (e.g. DB down) — leave it for a re-run
+      console.error(`❌ Ingestion crashed for document ${documentId}:`, err);
+    }
+  }
+
+  draining = false;
+}
+
+/**
+ * Queue a document for ingestion (no-op if already waiting)
+ */
+export function queueIngestion(documentId) {
+  const id = Number(documentId);
+
+  if (queued.has(id)) return;
+
+  queued.add(id);
+  queue.push(id);
+  drain();
+}
+
+/**
+ * Mark a document pending and queue it
+ */
+export async function requestIngestion(documentId) {
+  await setStatus(documentId, INGESTION_STATUS.PENDING);
+  queueIngestion(documentId);
+}
+
+/**
+ * Startup: pick up documents that were never ingested or were
+ * interrupted mid-ingestion by a restart. Each document is claimed with one
+ * atomic UPDATE first, so instances starting together never ingest the same
+ * document twice; claims of other live instances are left alone.
+ */
+export async function resumePendingIngestion() {
+  const result = await queryDb(
+    `
+    UPDATE knowledge.documents
+    SET
+      ingestion_status = 'processing',
+      ingestion_claimed_date = SYSDATETIME()
+    OUTPUT inserted.document_id
+    WHERE deleted_date IS NULL
+      AND (ingestion_status IS NULL
+        OR ingestion_status = 'pending'
+        OR (ingestion_status = 'processing'
+          AND (ingestion_claimed_date IS NULL
+            OR ingestion_claimed_date < DATEADD(minute, -?, SYSDATETIME()))))
+    `,
+    [STALE_CLAIM_MINUTES]
+  );
+
+  const documentIds = result.recordset
+    .map(row => row.document_id)
+    .sort((a, b) => a - b);
+
+  for (const documentId of documentIds) {
+    queueIngestion(documentId);
+  }
+
+  if (result.recordset.length > 0) {
+    console.log(`⚙️ Resuming ingestion for ${result.recordset.length} document(s)`);
+  }
+}
@@ -0,0 +1,167 @@
+// src/services/llm/azureOpenAIProvider.js
+
+import { config } from "../../config.js";
+import { getAccessToken, AZURE_SCOPES } from "../../utils/azureIdentity.js";
+
+async function buildHeaders() {
+  let headers = {
+    "Content-Type": "application/json",
+  };
+
+  // 🔐 Managed Identity (see useManagedIdentity) — token cached until near expiry
+  if (config.openai.useMI) {
+    const token = await getAccessToken(AZURE_SCOPES.openai);
+
+    headers.Authorization = `Bearer ${token.token}`;
+  }
+  // 🔑 API KEY
+  else {
+    if (!config.openai.key) {
+      throw new Error("AZURE_OPENAI_KEY is not set (or use Managed Identity: AZURE_OPENAI_USE_MI=true)");
+    }
+
+    headers["api-key"] = config.openai.key;
+  }
+
+  return headers;
+}
+
+async function toError(res, label) {
+  const text = await res.text();
+  const err = new Error(`${label} ${res.status}: ${text}`);
+  err.status = res.status;
+  return err;
+}
+
+/**
+ * Azure OpenAI deployments (chat + optional embedding deployment)
+ */
+export function createAzureOpenAIProvider() {
+  console.log(
+    config.openai.useMI
+      ? "🔐 Azure OpenAI using Managed Identity"
+      : "🔑 Azure OpenAI using API key"
+  );
+
+  const endpoint = config.openai.endpoint.replace(/\/$/, "");
+  const { deployment, embeddingDeployment, apiVersion } = config.openai;
+
+  const deploymentUrl = name =>
+    `${endpoint}/openai/deployments/${name}`;
+
+  return {
+    name: "azure",
+    model: deployment,
+    supportsEmbeddings: Boolean(embeddingDeployment),
+
+    /**
+     * options: { temperature, maxTokens } — per-service model settings
+     */
+    async chat(messages, options = {}) {
+      const headers = await buildHeaders();
+
+      const res = await fetch(
+        `${deploymentUrl(deployment)}/chat/completions?api-version=${apiVersion}`,
+        {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            messages,
+            temperature: options.temperature ?? 0.7,
+            max_tokens: options.maxTokens ?? 800,
+          }),
+        }
+      );
+
+      if (!res.ok) {
+        throw await toError(res, "Azure OpenAI error");
+      }
+
+      return res.json();
+    },
+
+    /**
+     * Streaming variant of chat.
+     * Yields content deltas as they arrive; stops early when `signal` aborts.
+     * `onUsage(usage)` receives the token usage sent with the final chunk.
+     */
+    async *chatStream(messages, options = {}) {
+      const headers = await buildHeaders();
+
+      const res = await fetch(
+        `${deploymentUrl(deployment)}/chat/completions?api-version=${apiVersion}`,
+        {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            messages,
+            temperature: options.temperature ?? 0.7,
+            max_tokens: options.maxTokens ?? 800,
+            stream: true,
+            stream_options: { include_usage: true },
+          }),
+          signal: options.signal,
+        }
+      );
+
+      if (!res.ok) {
+        throw await toError(res, "Azure OpenAI error");
+      }
+
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      for await (const bytes of res.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+
+        // SSE frames are separated by blank lines
+        let boundary;
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+          const frame = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          for (const line of frame.split("\n")) {
+            if (!line.startsWith("data:")) continue;
+
+            const data = line.slice(5).trim();
+            if (data === "[DONE]") return;
+
+            const chunk = JSON.parse(data);
+            if (chunk?.usage) options.onUsage?.(chunk.usage);
+
+            const delta = chunk?.choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+          }
+        }
+      }
+    },
+
+    /**
+     * Embed a batch of texts with the configured embedding deployment
+     * (used for the vector half of hybrid search)
+     */
+    async embed(texts) {
+      if (!embeddingDeployment) {
+        throw new Error("AZURE_OPENAI_EMBEDDING_DEPLOYMENT is not set");
+      }
+
+      const headers = await buildHeaders();
+
+      const res = await fetch(
+        `${deploymentUrl(embeddingDeployment)}/embeddings?api-version=${apiVersion}`,
+        {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ input: texts }),
+        }
+      );
+
+      if (!res.ok) {
+        throw await toError(res, "Azure OpenAI embeddings error");
+      }
+
+      const data = await res.json();
+      return data.data.map(d => d.embedding);
+    }
+  };
+}
@@ -0,0 +1,82 @@
+// src/services/llm/mockProvider.js
+
+import crypto from "crypto";
+import { config } from "../../config.js";
+import { tokenize } from "../bm25.js";
+import { estimateTokens } from "../contextBuilder.js";
+
+/**
+ * Deterministic offline provider (local dev / CI).
+ * Echoes the last user message and cites the first source tag in the
+ * system prompt, so the citation path is exercised too. Same input →
+ * same output, no network.
+ */
+export function createMockProvider() {
+  function answerFor(messages) {
+    const system = messages.find(m => m.role === "system")?.content || "";
+    const question = [...messages].reverse().find(m => m.role === "user")?.content || "";
+    const source = system.match(/\[(S\d+)\]/)?.[1];
+
+    return source
+      ? `Mock answer to "${question}" [${source}]`
+      : `Mock answer to "${question}"`;
+  }
+
+  function usageFor(messages, answer) {
+    const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const completionTokens = estimateTokens(answer);
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    };
+  }
+
+  return {
+    name: "mock",
+    model: "mock",
+    supportsEmbeddings: true,
+
+    async chat(messages) {
+      const answer = answerFor(messages);
+
+      return {
+        model: "mock",
+        choices: [
+          { index: 0, message: { role: "assistant", content: answer }, finish_reason: "stop" }
+        ],
+        usage: usageFor(messages, answer),
+      };
+    },
+
+    async *chatStream(messages, options = {}) {
+      const answer = answerFor(messages);
+
+      // Word-sized deltas, like a real stream
+      for (const delta of answer.match(/\S+\s*/g) || []) {
+        if (options.signal?.aborted) return;
+        yield delta;
+      }
+
+      options.onUsage?.(usageFor(messages, answer));
+    },
+
+    // Hashed bag-of-words vectors: similar texts get similar vectors
+    async embed(texts) {
+      const dimensions = config.search.vectorDimensions;
+
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+
+        for (const token of tokenize(text)) {
+          const hash = crypto.createHash("md5").update(token).digest();
+          vector[hash.readUInt32BE(0) % dimensions] += 1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return vector.map(v => v / norm);
+      });
+    }
+  };
+}
@@ -0,0 +1,63 @@
+// src/services/llm/openAIProvider.js
+
+import OpenAI from "openai";
+import { config } from "../../config.js";
+
+/**
+ * OpenAI API or any OpenAI-compatible server (OPENAI_BASE_URL)
+ */
+export function createOpenAIProvider() {
+  const { apiKey, baseUrl, model, embeddingModel } = config.openaiCompatible;
+
+  // Retries are handled by withRetry at the call sites
+  const client = new OpenAI({ apiKey, baseURL: baseUrl, maxRetries: 0 });
+
+  return {
+    name: "openai",
+    model,
+    supportsEmbeddings: Boolean(embeddingModel),
+
+    async chat(messages, options = {}) {
+      return client.chat.completions.create({
+        model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens ?? 800,
+      });
+    },
+
+    async *chatStream(messages, options = {}) {
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature: options.temperature ?? 0.7,
+          max_tokens: options.maxTokens ?? 800,
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal: options.signal }
+      );
+
+      for await (const chunk of stream) {
+        if (chunk.usage) options.onUsage?.(chunk.usage);
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+
+    async embed(texts) {
+      if (!embeddingModel) {
+        throw new Error("OPENAI_EMBEDDING_MODEL is not set");
+      }
+
+      const res = await client.embeddings.create({
+        model: embeddingModel,
+        input: texts,
+      });
+
+      return res.data.map(d => d.embedding);
+    }
+  };
+}
@@ -0,0 +1,72 @@
+// src/services/llmService.js
+
+import { config } from "../config.js";
+import { createAzureOpenAIProvider } from "./llm/azureOpenAIProvider.js";
+import { createOpenAIProvider } from "./llm/openAIProvider.js";
+import { createMockProvider } from "./llm/mockProvider.js";
+
+const PROVIDERS = {
+  azure: createAzureOpenAIProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+let provider;
+
+/**
+ * Active LLM provider, chosen by LLM_PROVIDER ("azure" | "openai" | "mock")
+ */
+export function getLlmProvider() {
+  if (!provider) {
+    const create = PROVIDERS[config.llm.provider];
+
+    if (!create) {
+      throw new Error(
+        `Unknown LLM_PROVIDER '${config.llm.provider}' (expected ${Object.keys(PROVIDERS).join(", ")})`
+      );
+    }
+
+    provider = create();
+    console.log(`🤖 Using '${provider.name}' LLM provider`);
+  }
+
+  return provider;
+}
+
+/**
+ * Swap the provider (e.g. the mock one for offline tests)
+ */
+export function setLlmProvider(customProvider) {
+  provider = customProvider;
+}
+
+/**
+ * Chat completion → OpenAI-shaped response ({ choices, usage })
+ * options: { temperature, maxTokens }
+ */
+export async function chatCompletion(messages, options = {}) {
+  return getLlmProvider().chat(messages, options);
+}
+
+/**
+ * Streaming chat completion; yields content deltas
+ * options: { temperature, maxTokens, signal, onUsage }
+ */
+export function chatCompletionStream(messages, options = {}) {
+  return getLlmProvider().chatStream(messages, options);
+}
+
+/**
+ * Model / deployment name the active provider sends requests to
+ */
+export function getModelName() {
+  return getLlmProvider().model;
+}
+
+export async function embedTexts(texts) {
+  return getLlmProvider().embed(texts);
+}
+
+export function supportsEmbeddings() {
+  return getLlmProvider().supportsEmbeddings;
+}
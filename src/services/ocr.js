@@ -0,0 +1,115 @@
+// src/services/ocr.js
+
+import path from "path";
+
+import { config } from "../config.js";
+
+// Language data bundled with the app; others need OCR_LANG_PATH (see validateOcrConfig)
+export const BUNDLED_OCR_LANGUAGE = "eng";
+
+/* ---------------------------------------
+   Canvas factory for pdf.js page rendering in Node
+---------------------------------------- */
+function createCanvasFactory(createCanvas) {
+  return {
+    create(width, height) {
+      const canvas = createCanvas(width, height);
+      return { canvas, context: canvas.getContext("2d") };
+    },
+    reset(target, width, height) {
+      target.canvas.width = width;
+      target.canvas.height = height;
+    },
+    destroy(target) {
+      target.canvas.width = 0;
+      target.canvas.height = 0;
+    }
+  };
+}
+
+/**
+ * OCR the given (1-based) pages of a PDF.
+ * Pages are rendered with pdf.js and read with tesseract.js.
+ * Returns Map<pageNumber, text>.
+ *
+ * The OCR dependencies are loaded lazily so a server with OCR disabled
+ * never pays for them.
+ */
+export async function ocrPdfPages(buffer, pageNumbers) {
+  const results = new Map();
+
+  if (pageNumbers.length === 0) {
+    return results;
+  }
+
+  const [{ createCanvas }, { createWorker }, pdfjsModule, engData] = await Promise.all([
+    import("@napi-rs/canvas"),
+    import("tesseract.js"),
+    import("pdfjs-dist/legacy/build/pdf.js"),
+    import("@tesseract.js-data/eng")
+  ]);
+
+  // Without OCR_LANG_PATH, read the bundled English data instead of letting
+  // tesseract.js download it from its CDN (same 4.0.0_best_int model)
+  const langPath = config.ocr.langPath ??
+    path.join(path.dirname(engData.default.langPath), "4.0.0_best_int");
+
+  const pdfjsLib = pdfjsModule.default ?? pdfjsModule;
+  const canvasFactory = createCanvasFactory(createCanvas);
+
+  const pdf = await pdfjsLib.getDocument({
+    data: new Uint8Array(buffer),
+    disableFontFace: true,
+    canvasFactory
+  }).promise;
+
+  let worker = null;
+
+  try {
+    // Create the worker without a language and load it afterwards:
+    // tesseract.js never settles createWorker() when language data fails
+    // to load, whereas reinitialize() rejects and leaves us a worker to terminate.
+    worker = await createWorker([], 1, {
+      errorHandler: () => {}, // failures surface through the rejected job
+      langPath,
+      ...(config.ocr.cachePath ? { cachePath: config.ocr.cachePath } : {})
+    });
+
+    await worker.reinitialize(config.ocr.language);
+
+    for (const pageNumber of pageNumbers) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: config.ocr.renderScale });
+
+      const target = canvasFactory.create(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+      );
+
+      try {
+        await page.render({
+          canvasContext: target.context,
+          viewport,
+          canvasFactory
+        }).promise;
+
+        const image = await target.canvas.encode("png");
+        const { data } = await worker.recognize(image);
+
+        results.set(pageNumber, data.text.replace(/\s+/g, " ").trim());
+      } finally {
+        canvasFactory.destroy(target);
+        page.cleanup();
+      }
+    }
+  } finally {
+    // The pdf.js document is freed even when the worker never started
+    try {
+      await worker?.terminate();
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  return results;
+}
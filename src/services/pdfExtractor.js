@@ -0,0 +1,125 @@
+// src/services/pdfExtractor.js
+
+import PDFParser from "pdf2json";
+
+import { config } from "../config.js";
+import { ocrPdfPages } from "./ocr.js";
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+function parsePdf(buffer) {
+  return new Promise((resolve, reject) => {
+    const pdfParser = new PDFParser();
+
+    pdfParser.on("pdfParser_dataError", err =>
+      reject(err.parserError)
+    );
+
+    pdfParser.on("pdfParser_dataReady", resolve);
+
+    pdfParser.parseBuffer(buffer);
+  });
+}
+
+/**
+ * Extract text from a PDF buffer within the given page window.
+ * Each kept page is terminated by a `--- END OF PAGE n (source: s) ---`
+ * marker, where s tells how the text was obtained:
+ *   text  → PDF text layer (pdf2json)
+ *   ocr   → image-only page read with OCR
+ *   empty → no text layer and OCR disabled / found nothing
+ *   ocr_failed → no text layer and OCR threw (see hasFailedOcr)
+ */
+export async function extractPages(buffer, fromPage, toPage, skipPages) {
+  const pdfData = await parsePdf(buffer);
+
+  const totalPages = pdfData.Pages.length;
+  const start = Math.max(fromPage - 1, 0);
+  const end = toPage ? Math.min(toPage - 1, totalPages - 1) : totalPages - 1;
+
+  const pages = [];
+
+  pdfData.Pages.forEach((page, index) => {
+    const pageNum = index + 1;
+
+    if (index < start || index > end) return;
+    if (skipPages.includes(pageNum)) return;
+
+    let text = "";
+
+    page.Texts.forEach(t => {
+      t.R.forEach(run => {
+        text += safeDecode(run.T) + " ";
+      });
+    });
+
+    pages.push({
+      page: pageNum,
+      text,
+      source: page.Texts.length > 0 ? "text" : "empty"
+    });
+  });
+
+  // 🖼 Image-only pages → OCR
+  const imageOnly = pages.filter(p => p.source === "empty").map(p => p.page);
+
+  if (config.ocr.enabled && imageOnly.length > 0) {
+    console.log(`🖼 Running OCR on ${imageOnly.length} image-only page(s)`);
+
+    let ocrText = new Map();
+    let ocrFailed = false;
+
+    try {
+      ocrText = await ocrPdfPages(buffer, imageOnly);
+    } catch (err) {
+      // Keep the text layer we have; mark the image-only pages as failed
+      console.error("❌ OCR failed:", err);
+      ocrFailed = true;
+    }
+
+    for (const page of pages) {
+      if (page.source !== "empty") continue;
+
+      const recognized = ocrText.get(page.page);
+
+      if (recognized) {
+        page.text = recognized;
+        page.source = "ocr";
+      } else if (ocrFailed) {
+        page.source = "ocr_failed";
+      }
+    }
+  }
+
+  let text = "";
+
+  for (const page of pages) {
+    text += page.text;
+    text += `\n\n--- END OF PAGE ${page.page} (source: ${page.source}) ---\n\n`;
+  }
+
+  return text.trim();
+}
+
+/**
+ * True when extracted text has pages whose OCR threw. Such text must not
+ * be cached, so the next load retries the OCR.
+ */
+export function hasFailedOcr(text) {
+  return text.includes("(source: ocr_failed)");
+}
+
+/**
+ * Parse a PDF buffer and return its page count.
+ * Rejects when the buffer is not a parseable PDF.
+ */
+export async function countPages(buffer) {
+  const pdfData = await parsePdf(buffer);
+  return pdfData.Pages.length;
+}
@@ -0,0 +1,223 @@
+// src/services/promptTemplates.js
+
+import { queryDb } from "../db.js";
+
+export const DEFAULT_REFUSAL_MESSAGE = "The document does not contain this information.";
+
+export const DEFAULT_MODEL_SETTINGS = {
+  temperature: 0.7,
+  maxTokens: 800,
+};
+
+const CITATION_RULES = `
+Each passage in the document content starts with a source tag such as [S1].
+After every statement, cite the tag(s) of the passage(s) it is based on,
+e.g. "... daily use [S2][S5]". Only cite tags that appear in the document content.
+`.trim();
+
+/**
+ * Placeholders:
+ *   {{documents}}       retrieved document content (required)
+ *   {{question}}        the user's question
+ *   {{refusal}}         the service's refusal message
+ *   {{citation_rules}}  source-tag citation instructions
+ *                       (appended automatically when a template omits them)
+ */
+export const DEFAULT_PROMPT_TEMPLATE = `
+You are a medical knowledge assistant.
+
+Answer the user's question using ONLY the provided document content.
+
+{{citation_rules}}
+
+If the answer cannot be reasonably inferred from the document content,
+respond exactly with:
+"{{refusal}}"
+
+DOCUMENT CONTENT:
+{{documents}}
+`.trim();
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_REFUSAL_LENGTH = 500;
+
+/**
+ * Prompt settings for a service: its active version, or the built-in
+ * defaults (version null) when none is active
+ */
+export async function getPromptSettings(serviceId) {
+  const result = await queryDb(
+    `
+    SELECT
+      version,
+      template,
+      temperature,
+      max_tokens,
+      refusal_message
+    FROM knowledge.service_prompts
+    WHERE service_id = ?
+      AND is_active = 1
+    `,
+    [serviceId]
+  );
+
+  const active = result.recordset[0];
+
+  return {
+    version: active?.version ?? null,
+    template: active?.template || DEFAULT_PROMPT_TEMPLATE,
+    temperature: active?.temperature ?? DEFAULT_MODEL_SETTINGS.temperature,
+    maxTokens: active?.max_tokens ?? DEFAULT_MODEL_SETTINGS.maxTokens,
+    refusalMessage: active?.refusal_message || DEFAULT_REFUSAL_MESSAGE,
+  };
+}
+
+/**
+ * Fill a template's placeholders
+ */
+export function renderPrompt(settings, { documents, question }) {
+  let template = settings.template;
+
+  if (!template.includes("{{citation_rules}}")) {
+    template += "\n\n{{citation_rules}}";
+  }
+
+  const values = {
+    documents,
+    question,
+    refusal: settings.refusalMessage,
+    citation_rules: CITATION_RULES,
+  };
+
+  // Single pass, so placeholder-like text inside documents is left alone
+  return template
+    .replace(/\{\{(documents|question|refusal|citation_rules)\}\}/g, (_, key) => values[key])
+    .trim();
+}
+
+/**
+ * Validate a prompt version payload; returns an error message or null
+ */
+export function validatePromptInput({ template, temperature, max_tokens, refusal_message }) {
+  if (template != null) {
+    if (typeof template !== "string" || template.length > MAX_TEMPLATE_LENGTH) {
+      return `template must be a string of at most ${MAX_TEMPLATE_LENGTH} characters`;
+    }
+    if (!template.includes("{{documents}}")) {
+      return "template must contain the {{documents}} placeholder";
+    }
+  }
+
+  if (temperature != null && !(typeof temperature === "number" && temperature >= 0 && temperature <= 2)) {
+    return "temperature must be a number between 0 and 2";
+  }
+
+  if (max_tokens != null && !(Number.isInteger(max_tokens) && max_tokens >= 1 && max_tokens <= 4096)) {
+    return "max_tokens must be an integer between 1 and 4096";
+  }
+
+  if (refusal_message != null) {
+    if (typeof refusal_message !== "string" || !refusal_message.trim() || refusal_message.length > MAX_REFUSAL_LENGTH) {
+      return `refusal_message must be a non-empty string of at most ${MAX_REFUSAL_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+export async function listPromptVersions(serviceId) {
+  const result = await queryDb(
+    `
+    SELECT
+      version,
+      template,
+      temperature,
+      max_tokens,
+      refusal_message,
+      is_active,
+      created_by,
+      created_date
+    FROM knowledge.service_prompts
+    WHERE service_id = ?
+    ORDER BY version DESC
+    `,
+    [serviceId]
+  );
+
+  return result.recordset;
+}
+
+/**
+ * Store a new version and make it the active one.
+ * Returns the new version number.
+ */
+export async function createPromptVersion(serviceId, input, createdBy) {
+  const result = await queryDb(
+    `
+    SET XACT_ABORT ON;
+    BEGIN TRANSACTION;
+
+    UPDATE knowledge.service_prompts
+    SET is_active = 0
+    WHERE service_id = ?;
+
+    INSERT INTO knowledge.service_prompts
+      (service_id, version, template, temperature, max_tokens, refusal_message, is_active, created_by, created_date)
+    OUTPUT inserted.version
+    SELECT
+      ?,
+      ISNULL(MAX(version), 0) + 1,
+      ?, ?, ?, ?, 1, ?, SYSDATETIME()
+    FROM knowledge.service_prompts WITH (UPDLOCK, HOLDLOCK)
+    WHERE service_id = ?;
+
+    COMMIT TRANSACTION;
+    `,
+    [
+      serviceId,
+      serviceId,
+      input.template ?? null,
+      input.temperature ?? null,
+      input.max_tokens ?? null,
+      input.refusal_message ?? null,
+      createdBy,
+      serviceId
+    ]
+  );
+
+  return result.recordset[0].version;
+}
+
+/**
+ * Make an existing version active (rollback).
+ * Version 0 deactivates all versions → built-in default prompt.
+ * Returns false when the version does not exist.
+ */
+export async function activatePromptVersion(serviceId, version) {
+  if (version !== 0) {
+    const exists = await queryDb(
+      `
+      SELECT 1
+      FROM knowledge.service_prompts
+      WHERE service_id = ?
+        AND version = ?
+      `,
+      [serviceId, version]
+    );
+
+    if (exists.recordset.length === 0) {
+      return false;
+    }
+  }
+
+  await queryDb(
+    `
+    UPDATE knowledge.service_prompts
+    SET is_active = CASE WHEN version = ? THEN 1 ELSE 0 END
+    WHERE service_id = ?
+    `,
+    [version, serviceId]
+  );
+
+  return true;
+}
@@ -0,0 +1,48 @@
+// src/services/quota/memoryQuotaStore.js
+
+/**
+ * In-process counter store (single instance / tests).
+ * Counters vanish with the process.
+ */
+export function createMemoryQuotaStore() {
+  const counters = new Map(); // key → { value, expiresAt }
+
+  function live(key) {
+    const counter = counters.get(key);
+
+    if (counter && counter.expiresAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter;
+  }
+
+  return {
+    name: "memory",
+
+    async increment(key, amount, expiresAt) {
+      const counter = live(key) || { value: 0, expiresAt: expiresAt.getTime() };
+      counter.value += amount;
+      counters.set(key, counter);
+      return counter.value;
+    },
+
+    async get(key) {
+      return live(key)?.value ?? 0;
+    },
+
+    async resetPrefix(prefix) {
+      for (const key of counters.keys()) {
+        if (key.startsWith(prefix)) counters.delete(key);
+      }
+    },
+
+    async purgeExpired() {
+      for (const key of counters.keys()) live(key);
+    },
+
+    clear() {
+      counters.clear();
+    }
+  };
+}
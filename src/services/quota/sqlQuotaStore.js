@@ -0,0 +1,76 @@
+// src/services/quota/sqlQuotaStore.js
+
+import { queryDb } from "../../db.js";
+
+/**
+ * SQL-backed counter store (chat.quota_counters) so every App Service
+ * instance sees the same counts
+ */
+export function createSqlQuotaStore() {
+  return {
+    name: "sql",
+
+    async increment(key, amount, expiresAt) {
+      const result = await queryDb(
+        `
+        SET XACT_ABORT ON;
+        BEGIN TRANSACTION;
+
+        -- Expired counters restart from zero
+        DELETE FROM chat.quota_counters
+        WHERE counter_key = ?
+          AND expires_date <= SYSUTCDATETIME();
+
+        UPDATE chat.quota_counters WITH (UPDLOCK, HOLDLOCK)
+        SET value = value + ?
+        OUTPUT inserted.value
+        WHERE counter_key = ?;
+
+        IF @@ROWCOUNT = 0
+          INSERT INTO chat.quota_counters (counter_key, value, expires_date)
+          OUTPUT inserted.value
+          VALUES (?, ?, ?);
+
+        COMMIT TRANSACTION;
+        `,
+        [key, amount, key, key, amount, expiresAt]
+      );
+
+      // The UPDATE's OUTPUT is empty when the INSERT ran instead
+      return Number(result.recordsets.flat()[0].value);
+    },
+
+    async get(key) {
+      const result = await queryDb(
+        `
+        SELECT value
+        FROM chat.quota_counters
+        WHERE counter_key = ?
+          AND expires_date > SYSUTCDATETIME()
+        `,
+        [key]
+      );
+
+      return Number(result.recordset[0]?.value ?? 0);
+    },
+
+    async resetPrefix(prefix) {
+      await queryDb(
+        `
+        DELETE FROM chat.quota_counters
+        WHERE LEFT(counter_key, LEN(?)) = ?
+        `,
+        [prefix, prefix]
+      );
+    },
+
+    async purgeExpired() {
+      await queryDb(
+        `
+        DELETE FROM chat.quota_counters
+        WHERE expires_date <= SYSUTCDATETIME()
+        `
+      );
+    }
+  };
+}
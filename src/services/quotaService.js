@@ -0,0 +1,177 @@
+// src/services/quotaService.js
+
+import { config } from "../config.js";
+import { createMemoryQuotaStore } from "./quota/memoryQuotaStore.js";
+import { createSqlQuotaStore } from "./quota/sqlQuotaStore.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PURGE_INTERVAL_MS = 10 * MINUTE_MS;
+
+let store;
+let lastPurge = Date.now();
+
+/**
+ * Active counter store, chosen by QUOTA_STORE ("memory" | "sql")
+ */
+export function getQuotaStore() {
+  if (!store) {
+    store =
+      config.quota.store === "sql"
+        ? createSqlQuotaStore()
+        : createMemoryQuotaStore();
+
+    console.log(`🚦 Using '${store.name}' quota store`);
+  }
+
+  return store;
+}
+
+/**
+ * Swap the store (e.g. an in-memory one for tests)
+ */
+export function setQuotaStore(customStore) {
+  store = customStore;
+}
+
+/* ---------------------------------------
+   Windows + counter keys
+---------------------------------------- */
+function minuteWindow(now = Date.now()) {
+  const start = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  return { id: new Date(start).toISOString().slice(0, 16), resetAt: new Date(start + MINUTE_MS) };
+}
+
+// Daily quotas reset at midnight UTC
+function dayWindow(now = Date.now()) {
+  const start = Math.floor(now / DAY_MS) * DAY_MS;
+  return { id: new Date(start).toISOString().slice(0, 10), resetAt: new Date(start + DAY_MS) };
+}
+
+export function normalizeServiceKey(service) {
+  return String(service).trim().toLowerCase();
+}
+
+// Encoded so one subject's prefix can never match another's keys
+const userPrefix = username => `user:${encodeURIComponent(username)}:`;
+const servicePrefix = service => `service:${encodeURIComponent(normalizeServiceKey(service))}:`;
+
+export class QuotaExceededError extends Error {
+  constructor(message, resetAt) {
+    super(message);
+    this.status = 429;
+    this.resetAt = resetAt;
+  }
+}
+
+async function purgeOccasionally() {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+
+  try {
+    await getQuotaStore().purgeExpired();
+  } catch (err) {
+    console.warn("⚠️ Quota counter purge failed:", err.message);
+  }
+}
+
+/**
+ * Count one chat request against the user's and the service's per-minute
+ * limits, after checking the daily token quotas.
+ * Throws QuotaExceededError when any limit is hit.
+ */
+export async function consumeRequest(username, service) {
+  const limits = config.quota;
+  const quotaStore = getQuotaStore();
+  const day = dayWindow();
+  const minute = minuteWindow();
+
+  if (limits.userDailyTokens > 0) {
+    const used = await quotaStore.get(`${userPrefix(username)}tokens:${day.id}`);
+    if (used >= limits.userDailyTokens) {
+      throw new QuotaExceededError("Daily token quota exceeded", day.resetAt);
+    }
+  }
+
+  if (limits.serviceDailyTokens > 0) {
+    const used = await quotaStore.get(`${servicePrefix(service)}tokens:${day.id}`);
+    if (used >= limits.serviceDailyTokens) {
+      throw new QuotaExceededError("Daily token quota for this service exceeded", day.resetAt);
+    }
+  }
+
+  if (limits.userRequestsPerMinute > 0) {
+    const count = await quotaStore.increment(
+      `${userPrefix(username)}requests:${minute.id}`, 1, minute.resetAt
+    );
+    if (count > limits.userRequestsPerMinute) {
+      throw new QuotaExceededError("Too many requests, please try again later", minute.resetAt);
+    }
+  }
+
+  if (limits.serviceRequestsPerMinute > 0) {
+    const count = await quotaStore.increment(
+      `${servicePrefix(service)}requests:${minute.id}`, 1, minute.resetAt
+    );
+    if (count > limits.serviceRequestsPerMinute) {
+      throw new QuotaExceededError("This service is busy, please try again later", minute.resetAt);
+    }
+  }
+
+  purgeOccasionally();
+}
+
+/**
+ * Add a completion's token usage to today's user + service totals
+ */
+export async function recordTokenUsage(username, service, totalTokens) {
+  if (!totalTokens) return;
+
+  const quotaStore = getQuotaStore();
+  const day = dayWindow();
+
+  await Promise.all([
+    quotaStore.increment(`${userPrefix(username)}tokens:${day.id}`, totalTokens, day.resetAt),
+    quotaStore.increment(`${servicePrefix(service)}tokens:${day.id}`, totalTokens, day.resetAt)
+  ]);
+}
+
+/**
+ * Current usage and remaining quota for one user
+ */
+export async function getUserQuota(username) {
+  const limits = config.quota;
+  const quotaStore = getQuotaStore();
+  const day = dayWindow();
+  const minute = minuteWindow();
+
+  const [requests, tokens] = await Promise.all([
+    quotaStore.get(`${userPrefix(username)}requests:${minute.id}`),
+    quotaStore.get(`${userPrefix(username)}tokens:${day.id}`)
+  ]);
+
+  const remaining = (limit, used) => (limit > 0 ? Math.max(limit - used, 0) : null);
+
+  return {
+    username,
+    requests_per_minute: {
+      limit: limits.userRequestsPerMinute || null,
+      used: requests,
+      remaining: remaining(limits.userRequestsPerMinute, requests),
+      resets_at: minute.resetAt
+    },
+    daily_tokens: {
+      limit: limits.userDailyTokens || null,
+      used: tokens,
+      remaining: remaining(limits.userDailyTokens, tokens),
+      resets_at: day.resetAt
+    }
+  };
+}
+
+/**
+ * Clear all of a user's counters (request window + today's tokens)
+ */
+export async function resetUserQuota(username) {
+  await getQuotaStore().resetPrefix(userPrefix(username));
+}
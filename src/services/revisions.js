@@ -0,0 +1,207 @@
+// src/services/revisions.js
+
+import { queryDb } from "../db.js";
+import { HttpError } from "../utils/httpError.js";
+
+/**
+ * Change history for knowledge.documents and knowledge.services.
+ * Every create / update / delete / restore writes a row to
+ * knowledge.revisions with the tracked fields before and after the change
+ * (`before` is null for creates and undeletes, `after` is null for deletes).
+ */
+
+export const ENTITY_TYPES = {
+  DOCUMENT: "document",
+  SERVICE: "service"
+};
+
+// Fields that make up a record's editable state
+const TRACKED_FIELDS = {
+  [ENTITY_TYPES.DOCUMENT]: [
+    "service_id",
+    "service_submodule",
+    "blob_directory",
+    "page_from_inclusive",
+    "page_to_inclusive",
+    "page_to_skip"
+  ],
+  [ENTITY_TYPES.SERVICE]: [
+    "service_name",
+    "submodules",
+    "display_name",
+    "description",
+    "submodule_details"
+  ]
+};
+
+// JSON columns are stored parsed so diffs compare values, not strings
+const JSON_FIELDS = ["submodules", "page_to_skip", "submodule_details"];
+
+/**
+ * Tracked fields of a DB row (or request values) as a plain object
+ */
+export function snapshotOf(entityType, row) {
+  if (!row) return null;
+
+  const snapshot = {};
+
+  for (const field of TRACKED_FIELDS[entityType]) {
+    let value = row[field] ?? null;
+
+    if (JSON_FIELDS.includes(field) && typeof value === "string") {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        // keep malformed legacy values as they are
+      }
+    }
+
+    snapshot[field] = value;
+  }
+
+  return snapshot;
+}
+
+/**
+ * Field-by-field differences between two snapshots (null = record absent)
+ */
+export function diffSnapshots(before, after) {
+  const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+function parseRevision(row) {
+  return {
+    revision: row.revision,
+    action: row.action,
+    before: row.before_values ? JSON.parse(row.before_values) : null,
+    after: row.after_values ? JSON.parse(row.after_values) : null,
+    changed_by: row.changed_by,
+    changed_date: row.changed_date
+  };
+}
+
+/**
+ * Append a revision; returns its number (1, 2, 3 … per record).
+ * Call with withTransaction's `query`, in the same transaction as the change
+ * it describes: the UPDLOCK on the record's revisions is held until commit,
+ * and a failed insert rolls the change back with it.
+ */
+export async function recordRevision(
+  { entityType, entityId, action, before, after, changedBy },
+  query = queryDb
+) {
+  const result = await query(
+    `
+    INSERT INTO knowledge.revisions
+      (entity_type, entity_id, revision, action, before_values, after_values, changed_by, changed_date)
+    OUTPUT inserted.revision
+    SELECT
+      ?, ?,
+      ISNULL(MAX(revision), 0) + 1,
+      ?, ?, ?, ?, SYSDATETIME()
+    FROM knowledge.revisions WITH (UPDLOCK, HOLDLOCK)
+    WHERE entity_type = ?
+      AND entity_id = ?
+    `,
+    [
+      entityType,
+      entityId,
+      action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      changedBy,
+      entityType,
+      entityId
+    ]
+  );
+
+  return result.recordset[0].revision;
+}
+
+/**
+ * All revisions of a record, newest first, each with its field changes
+ */
+export async function listRevisions(entityType, entityId) {
+  const result = await queryDb(
+    `
+    SELECT revision, action, before_values, after_values, changed_by, changed_date
+    FROM knowledge.revisions
+    WHERE entity_type = ?
+      AND entity_id = ?
+    ORDER BY revision DESC
+    `,
+    [entityType, entityId]
+  );
+
+  return result.recordset.map(row => {
+    const revision = parseRevision(row);
+    return { ...revision, changes: diffSnapshots(revision.before, revision.after) };
+  });
+}
+
+/**
+ * One revision, or null
+ */
+export async function getRevision(entityType, entityId, revision) {
+  const result = await queryDb(
+    `
+    SELECT revision, action, before_values, after_values, changed_by, changed_date
+    FROM knowledge.revisions
+    WHERE entity_type = ?
+      AND entity_id = ?
+      AND revision = ?
+    `,
+    [entityType, entityId, revision]
+  );
+
+  return result.recordset[0] ? parseRevision(result.recordset[0]) : null;
+}
+
+/**
+ * State a revision leaves the record in. A delete revision has no `after`,
+ * so restoring it means going back to what was deleted.
+ */
+export function restorableState(revision) {
+  return revision.after ?? revision.before;
+}
+
+/**
+ * Compare the state after revision `from` with the state after revision `to`
+ * (defaults to the latest revision). A deleted record's state is null.
+ */
+export async function diffRevisions(entityType, entityId, from, to = null) {
+  const revisions = await listRevisions(entityType, entityId);
+
+  const fromRevision = revisions.find(r => r.revision === from);
+  const toRevision = to === null ? revisions[0] : revisions.find(r => r.revision === to);
+
+  if (!fromRevision || !toRevision) {
+    throw new HttpError(404, "Revision not found");
+  }
+
+  return {
+    from: { revision: fromRevision.revision, action: fromRevision.action, state: fromRevision.after },
+    to: { revision: toRevision.revision, action: toRevision.action, state: toRevision.after },
+    changes: diffSnapshots(fromRevision.after, toRevision.after)
+  };
+}
+
+/**
+ * Revision numbers from route params / query strings (null when invalid)
+ */
+export function parseRevisionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
@@ -0,0 +1,242 @@
+// src/services/search/azureSearchBackend.js
+
+import { config } from "../../config.js";
+import { embedTexts, supportsEmbeddings } from "../llmService.js";
+import { withRetry } from "../../utils/retry.js";
+
+const apiVersion = "2023-11-01";
+const UPLOAD_BATCH_SIZE = 100;
+const INDEX_BATCH_LIMIT = 1000; // Azure Search max documents per search page / index batch
+
+function toSearchId(chunk) {
+  return `${chunk.documentId}-${chunk.page ?? 0}-${chunk.part}`;
+}
+
+/**
+ * Azure Cognitive Search backend — keyword + (optional) vector hybrid query
+ */
+export function createAzureSearchBackend() {
+  const endpoint = config.search.endpoint.replace(/\/$/, "");
+  const indexName = config.search.index;
+  const useVectors = supportsEmbeddings();
+
+  let indexReady = false;
+
+  async function request(method, path, body) {
+    const res = await fetch(`${endpoint}${path}?api-version=${apiVersion}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "api-key": config.search.key,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      const err = new Error(`Azure Search error ${res.status}: ${text}`);
+      err.status = res.status;
+      throw err;
+    }
+
+    return res.status === 204 ? null : res.json();
+  }
+
+  // Index definition this backend writes and queries against
+  function indexFields() {
+    const fields = [
+      { name: "id", type: "Edm.String", key: true, filterable: true },
+      { name: "document_id", type: "Edm.Int32", filterable: true },
+      { name: "service_id", type: "Edm.Int32", filterable: true },
+      { name: "submodule", type: "Edm.String", filterable: true },
+      { name: "blob_url", type: "Edm.String", retrievable: true },
+      { name: "page", type: "Edm.Int32", filterable: true, sortable: true },
+      { name: "part", type: "Edm.Int32" },
+      { name: "source", type: "Edm.String", filterable: true, retrievable: true },
+      { name: "content", type: "Edm.String", searchable: true }
+    ];
+
+    if (useVectors) {
+      fields.push({
+        name: "content_vector",
+        type: "Collection(Edm.Single)",
+        searchable: true,
+        retrievable: false,
+        dimensions: config.search.vectorDimensions,
+        vectorSearchProfile: "default"
+      });
+    }
+
+    return fields;
+  }
+
+  // Current index definition, or null when the index does not exist
+  async function getIndex() {
+    try {
+      return await request("GET", `/indexes/${indexName}`);
+    } catch (err) {
+      if (err.status === 404) return null;
+      throw err;
+    }
+  }
+
+  // Create the index on first write if it does not exist yet; an index created
+  // by an older version gets the plain fields it lacks (e.g. source) added
+  async function ensureIndex() {
+    if (indexReady) return;
+
+    const existing = await getIndex();
+
+    if (existing) {
+      const known = new Set(existing.fields.map(f => f.name));
+      const missing = indexFields().filter(
+        f => !known.has(f.name) && f.name !== "content_vector"
+      );
+
+      if (missing.length > 0) {
+        console.log(
+          `🛠 Adding fields to search index '${indexName}': ${missing.map(f => f.name).join(", ")}`
+        );
+        const { "@odata.context": _context, ...definition } = existing;
+        await request("PUT", `/indexes/${indexName}`, {
+          ...definition,
+          fields: [...existing.fields, ...missing]
+        });
+      }
+
+      indexReady = true;
+      return;
+    }
+
+    console.log(`🛠 Creating search index '${indexName}'`);
+
+    const definition = { name: indexName, fields: indexFields() };
+
+    if (useVectors) {
+      definition.vectorSearch = {
+        algorithms: [{ name: "hnsw", kind: "hnsw" }],
+        profiles: [{ name: "default", algorithm: "hnsw" }]
+      };
+    }
+
+    await request("PUT", `/indexes/${indexName}`, definition);
+    indexReady = true;
+  }
+
+  // All index ids of a document, paging until a short page
+  async function findDocumentIds(documentId) {
+    const ids = [];
+
+    for (let skip = 0; ; skip += INDEX_BATCH_LIMIT) {
+      const result = await withRetry(() =>
+        request("POST", `/indexes/${indexName}/docs/search`, {
+          search: "*",
+          filter: `document_id eq ${Number(documentId)}`,
+          select: "id",
+          top: INDEX_BATCH_LIMIT,
+          skip
+        })
+      );
+
+      ids.push(...result.value.map(v => v.id));
+
+      if (result.value.length < INDEX_BATCH_LIMIT) return ids;
+    }
+  }
+
+  async function deleteIds(ids) {
+    for (let i = 0; i < ids.length; i += INDEX_BATCH_LIMIT) {
+      const value = ids
+        .slice(i, i + INDEX_BATCH_LIMIT)
+        .map(id => ({ "@search.action": "delete", id }));
+
+      await withRetry(() =>
+        request("POST", `/indexes/${indexName}/docs/index`, { value })
+      );
+    }
+  }
+
+  return {
+    name: "azure",
+
+    async upsertDocumentChunks(documentId, chunks) {
+      await ensureIndex();
+
+      const previousIds = await findDocumentIds(documentId);
+
+      // Upload first so the document stays searchable while it is re-indexed
+      for (let i = 0; i < chunks.length; i += UPLOAD_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + UPLOAD_BATCH_SIZE);
+
+        const vectors = useVectors
+          ? await withRetry(() => embedTexts(batch.map(c => c.text)))
+          : [];
+
+        const value = batch.map((chunk, index) => ({
+          "@search.action": "mergeOrUpload",
+          id: toSearchId(chunk),
+          document_id: chunk.documentId,
+          service_id: chunk.serviceId,
+          submodule: chunk.submodule,
+          blob_url: chunk.blobDirectory,
+          page: chunk.page,
+          part: chunk.part,
+          source: chunk.source,
+          content: chunk.text,
+          ...(useVectors ? { content_vector: vectors[index] } : {})
+        }));
+
+        await withRetry(() =>
+          request("POST", `/indexes/${indexName}/docs/index`, { value })
+        );
+      }
+
+      // Then drop chunks of a previous extraction that no longer exist
+      const currentIds = new Set(chunks.map(toSearchId));
+      await deleteIds(previousIds.filter(id => !currentIds.has(id)));
+    },
+
+    async removeDocument(documentId) {
+      // Nothing was ever indexed: do not create the index just to delete from it
+      if (!indexReady && !(await getIndex())) return;
+
+      await deleteIds(await findDocumentIds(documentId));
+    },
+
+    async search({ question, serviceId, submodule, top }) {
+      const filters = [`service_id eq ${Number(serviceId)}`];
+
+      if (submodule) {
+        filters.push(`submodule eq '${submodule.replace(/'/g, "''")}'`);
+      }
+
+      const body = {
+        search: question,
+        filter: filters.join(" and "),
+        select: "document_id,blob_url,page,part,source,content",
+        top
+      };
+
+      if (useVectors) {
+        const [vector] = await withRetry(() => embedTexts([question]));
+        body.vectorQueries = [
+          { kind: "vector", vector, fields: "content_vector", k: top }
+        ];
+      }
+
+      const result = await withRetry(() =>
+        request("POST", `/indexes/${indexName}/docs/search`, body)
+      );
+
+      return result.value.map(hit => ({
+        documentId: hit.document_id,
+        blobDirectory: hit.blob_url,
+        page: hit.page,
+        part: hit.part,
+        source: hit.source ?? "text",
+        text: hit.content,
+        score: hit["@search.score"]
+      }));
+    }
+  };
+}
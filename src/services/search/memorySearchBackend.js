@@ -0,0 +1,43 @@
+// src/services/search/memorySearchBackend.js
+
+import { rankChunks } from "../bm25.js";
+
+/**
+ * In-process search backend (local dev / offline testing).
+ * Chunks live only as long as the process does.
+ */
+export function createMemorySearchBackend() {
+  const chunksByDocument = new Map();
+
+  return {
+    name: "memory",
+
+    async upsertDocumentChunks(documentId, chunks) {
+      chunksByDocument.set(documentId, chunks);
+    },
+
+    async removeDocument(documentId) {
+      chunksByDocument.delete(documentId);
+    },
+
+    async search({ question, serviceId, submodule, top }) {
+      const candidates = [];
+
+      for (const chunks of chunksByDocument.values()) {
+        for (const chunk of chunks) {
+          if (chunk.serviceId !== serviceId) continue;
+          if (submodule && chunk.submodule !== submodule) continue;
+          candidates.push(chunk);
+        }
+      }
+
+      return rankChunks(candidates, question)
+        .filter(chunk => chunk.score > 0)
+        .slice(0, top);
+    },
+
+    clear() {
+      chunksByDocument.clear();
+    }
+  };
+}
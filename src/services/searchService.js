@@ -0,0 +1,63 @@
+// src/services/searchService.js
+
+import { config } from "../config.js";
+import { chunkDocument } from "./chunker.js";
+import { createAzureSearchBackend } from "./search/azureSearchBackend.js";
+import { createMemorySearchBackend } from "./search/memorySearchBackend.js";
+
+let backend;
+
+/**
+ * Active search backend, chosen by SEARCH_BACKEND ("azure" | "memory")
+ */
+export function getSearchBackend() {
+  if (!backend) {
+    backend =
+      config.search.backend === "memory"
+        ? createMemorySearchBackend()
+        : createAzureSearchBackend();
+
+    console.log(`🔎 Using '${backend.name}' search backend`);
+  }
+
+  return backend;
+}
+
+/**
+ * Swap the backend (e.g. an in-memory one for offline tests)
+ */
+export function setSearchBackend(customBackend) {
+  backend = customBackend;
+}
+
+/**
+ * Replace a document's chunks in the index with chunks of `text`
+ * (the document's extracted page text)
+ */
+export async function indexDocument(doc, text) {
+  const chunks = chunkDocument(doc, text, {
+    maxChars: config.retrieval.chunkChars,
+    overlapChars: config.retrieval.chunkOverlap
+  }).map(chunk => ({
+    ...chunk,
+    serviceId: doc.service_id,
+    submodule: doc.service_submodule
+  }));
+
+  await getSearchBackend().upsertDocumentChunks(doc.document_id, chunks);
+
+  console.log(`🔎 Indexed ${chunks.length} chunks for document ${doc.document_id}`);
+  return chunks.length;
+}
+
+/**
+ * Query indexed chunks for a service + submodule
+ */
+export async function searchChunks({ question, serviceId, submodule, top }) {
+  return getSearchBackend().search({
+    question,
+    serviceId,
+    submodule,
+    top: top ?? config.search.topK
+  });
+}
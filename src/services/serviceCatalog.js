@@ -0,0 +1,242 @@
+// src/services/serviceCatalog.js
+
+import { queryDb } from "../db.js";
+import { SHARED_SUBMODULE } from "./submoduleIntegrity.js";
+import {
+  serviceNotFound,
+  submoduleNotFound,
+  findSubmodule
+} from "./serviceResolver.js";
+
+/**
+ * Read-only view of the active services for chat clients: display names,
+ * descriptions and, per submodule, whether chat answers from the submodule's
+ * own documents or falls back to the service's `shared` ones.
+ *
+ * Display metadata lives on knowledge.services: display_name, description and
+ * submodule_details ({ "<submodule>": { display_name, description } }).
+ */
+
+const MAX_DISPLAY_NAME = 200;
+const MAX_DESCRIPTION = 2000;
+const SUBMODULE_DETAIL_FIELDS = ["display_name", "description"];
+
+function textFieldError(field, value, maxLength) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value !== "string") {
+    return `${field} must be a string`;
+  }
+
+  if (value.trim().length > maxLength) {
+    return `${field} must be at most ${maxLength} characters`;
+  }
+
+  return null;
+}
+
+function cleanText(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+export function parseSubmoduleDetails(value) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Validate the optional display fields of a service body;
+ * submodule_details may only describe `submodules`
+ */
+export function serviceDetailsError(input, submodules) {
+  const error =
+    textFieldError("display_name", input.display_name, MAX_DISPLAY_NAME) ||
+    textFieldError("description", input.description, MAX_DESCRIPTION);
+
+  if (error) return error;
+
+  const details = input.submodule_details;
+  if (details === undefined || details === null) return null;
+
+  if (typeof details !== "object" || Array.isArray(details)) {
+    return "submodule_details must be an object keyed by submodule";
+  }
+
+  for (const [submodule, entry] of Object.entries(details)) {
+    const prefix = `submodule_details['${submodule}']`;
+
+    if (!submodules.includes(submodule)) {
+      return `${prefix}: not a submodule of this service`;
+    }
+
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      return `${prefix} must be an object`;
+    }
+
+    const unknown = Object.keys(entry).find(k => !SUBMODULE_DETAIL_FIELDS.includes(k));
+    if (unknown) {
+      return `${prefix}: unknown field '${unknown}'`;
+    }
+
+    const entryError =
+      textFieldError(`${prefix}.display_name`, entry.display_name, MAX_DISPLAY_NAME) ||
+      textFieldError(`${prefix}.description`, entry.description, MAX_DESCRIPTION);
+
+    if (entryError) return entryError;
+  }
+
+  return null;
+}
+
+/**
+ * Display fields to store, from a body validated by serviceDetailsError.
+ * Fields the body leaves out keep their `current` value (null for new
+ * services); details of submodules no longer in `submodules` are dropped.
+ */
+export function resolveServiceDetails(input, current, submodules) {
+  const pick = field =>
+    cleanText(input[field] === undefined ? current?.[field] : input[field]);
+
+  const source = input.submodule_details === undefined
+    ? parseSubmoduleDetails(current?.submodule_details)
+    : input.submodule_details ?? {};
+
+  const submoduleDetails = {};
+
+  for (const submodule of submodules) {
+    const displayName = cleanText(source[submodule]?.display_name);
+    const description = cleanText(source[submodule]?.description);
+
+    if (displayName || description) {
+      submoduleDetails[submodule] = { display_name: displayName, description };
+    }
+  }
+
+  return {
+    display_name: pick("display_name"),
+    description: pick("description"),
+    submodule_details: submoduleDetails
+  };
+}
+
+/* ---------------------------------------
+   CATALOG
+---------------------------------------- */
+
+function describeService(service, readyDocuments) {
+  const submodules = JSON.parse(service.submodules || "[]");
+  const details = parseSubmoduleDetails(service.submodule_details);
+  const count = submodule => readyDocuments.get(`${service.service_id}\u0000${submodule}`) ?? 0;
+
+  const sharedDocuments = count(SHARED_SUBMODULE);
+
+  return {
+    service_name: service.service_name,
+    display_name: service.display_name ?? service.service_name,
+    description: service.description ?? null,
+    shared_documents: sharedDocuments,
+    submodules: submodules.map(submodule => {
+      const documents = count(submodule);
+
+      return {
+        submodule,
+        display_name: details[submodule]?.display_name ?? submodule,
+        description: details[submodule]?.description ?? null,
+        documents,
+        // resolveDocuments answers from `shared` when a submodule has none
+        uses_shared_fallback: documents === 0 && sharedDocuments > 0,
+        available: documents > 0 || sharedDocuments > 0
+      };
+    })
+  };
+}
+
+/**
+ * All active services with their submodules
+ */
+export async function listServiceCatalog() {
+  const services = await queryDb(`
+    SELECT
+      service_id,
+      service_name,
+      display_name,
+      description,
+      submodules,
+      submodule_details
+    FROM knowledge.services
+    WHERE deleted_date IS NULL
+    ORDER BY service_name
+  `);
+
+  // Only documents chat can answer from (see resolveDocuments)
+  const documents = await queryDb(`
+    SELECT service_id, service_submodule, COUNT(*) AS documents
+    FROM knowledge.documents
+    WHERE deleted_date IS NULL
+      AND ingestion_status = 'ready'
+    GROUP BY service_id, service_submodule
+  `);
+
+  const readyDocuments = new Map(
+    documents.recordset.map(d => [`${d.service_id}\u0000${d.service_submodule}`, d.documents])
+  );
+
+  return services.recordset.map(s => describeService(s, readyDocuments));
+}
+
+/**
+ * One service by name (case-insensitive).
+ * Throws HttpError 404 with suggestions when unknown.
+ */
+export async function getCatalogService(serviceName) {
+  const services = await listServiceCatalog();
+  const wanted = String(serviceName).trim().toLowerCase();
+
+  const service = services.find(s => s.service_name.toLowerCase() === wanted);
+  if (!service) {
+    throw serviceNotFound(serviceName, services);
+  }
+
+  return service;
+}
+
+/**
+ * One submodule of a service; `shared` describes the service-level documents.
+ * Throws HttpError 404 with suggestions when unknown.
+ */
+export async function getCatalogSubmodule(serviceName, submodule) {
+  const service = await getCatalogService(serviceName);
+
+  const definition = {
+    service_name: service.service_name,
+    submodules: service.submodules.map(s => s.submodule)
+  };
+
+  const name = findSubmodule(definition, submodule);
+  if (!name) {
+    throw submoduleNotFound(definition, submodule);
+  }
+
+  if (name === SHARED_SUBMODULE) {
+    return {
+      service_name: service.service_name,
+      submodule: SHARED_SUBMODULE,
+      display_name: SHARED_SUBMODULE,
+      description: null,
+      documents: service.shared_documents,
+      uses_shared_fallback: false,
+      available: service.shared_documents > 0
+    };
+  }
+
+  return {
+    service_name: service.service_name,
+    ...service.submodules.find(s => s.submodule === name)
+  };
+}
@@ -1,15 +1,65 @@
 // src/services/serviceResolver.js
 
 import { queryDb } from "../db.js";
+import { HttpError } from "../utils/httpError.js";
+import { suggestNames } from "../utils/suggest.js";
+import { SHARED_SUBMODULE } from "./submoduleIntegrity.js";
+
+function didYouMean(suggestions) {
+  return suggestions.length > 0 ? `. Did you mean: ${suggestions.join(", ")}?` : "";
+}
 
 /**
- * Resolve service_name → service_id
- * Throws if not found or soft-deleted
+ * 404 for an unknown service, suggesting close names from `services`
+ * (active service rows, matched on service_name and display_name)
  */
-export async function resolveServiceId(serviceName) {
+export function serviceNotFound(serviceName, services) {
+  const suggestions = suggestNames(
+    serviceName,
+    services,
+    s => [s.service_name, s.display_name]
+  ).map(s => s.service_name);
+
+  return new HttpError(
+    404,
+    `Service '${serviceName}' not found${didYouMean(suggestions)}`,
+    { suggestions }
+  );
+}
+
+/**
+ * 404 for a submodule the service does not define, suggesting close ones
+ */
+export function submoduleNotFound(service, submodule) {
+  const suggestions = suggestNames(submodule, [...service.submodules, SHARED_SUBMODULE]);
+
+  return new HttpError(
+    404,
+    `Submodule '${submodule}' not found for service '${service.service_name}'` +
+      didYouMean(suggestions),
+    { suggestions }
+  );
+}
+
+/**
+ * Defined submodule (or `shared`) matching `submodule` case-insensitively,
+ * like the SQL lookups in resolveDocuments; null when there is none
+ */
+export function findSubmodule(service, submodule) {
+  const wanted = String(submodule).trim().toLowerCase();
+
+  return [...service.submodules, SHARED_SUBMODULE]
+    .find(s => s.toLowerCase() === wanted) ?? null;
+}
+
+/**
+ * Resolve service_name → active service { service_id, service_name, submodules }
+ * Throws HttpError 404 (with suggestions) if not found or soft-deleted
+ */
+export async function resolveService(serviceName) {
   const result = await queryDb(
     `
-    SELECT service_id
+    SELECT service_id, service_name, submodules
     FROM knowledge.services
     WHERE service_name = ?
       AND deleted_date IS NULL
@@ -18,8 +68,25 @@ export async function resolveServiceId(serviceName) {
   );
 
   if (result.recordset.length === 0) {
-    throw new Error(`Service '${serviceName}' not found`);
+    const active = await queryDb(`
+      SELECT service_name, display_name
+      FROM knowledge.services
+      WHERE deleted_date IS NULL
+    `);
+
+    throw serviceNotFound(serviceName, active.recordset);
   }
 
-  return result.recordset[0].service_id;
+  const service = result.recordset[0];
+  return { ...service, submodules: JSON.parse(service.submodules || "[]") };
+}
+
+/**
+ * Throws HttpError 404 (with suggestions) when a submodule is given that the
+ * service does not define. No submodule means the `shared` documents.
+ */
+export function assertSubmodule(service, submodule) {
+  if (submodule && !findSubmodule(service, submodule)) {
+    throw submoduleNotFound(service, submodule);
+  }
 }
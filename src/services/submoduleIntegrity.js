@@ -0,0 +1,263 @@
+// src/services/submoduleIntegrity.js
+
+import { queryDb } from "../db.js";
+import { invalidateCachedText } from "./textCache.js";
+import { getSearchBackend } from "./searchService.js";
+import { ENTITY_TYPES, snapshotOf, recordRevision } from "./revisions.js";
+
+/**
+ * Keeps knowledge.documents.service_submodule in line with the
+ * knowledge.services.submodules list. `shared` is always valid: it holds the
+ * service-level documents every submodule falls back to.
+ */
+
+export const SHARED_SUBMODULE = "shared";
+
+/**
+ * Active service with its submodules parsed, or null
+ */
+export async function getActiveService(serviceId, query = queryDb) {
+  const result = await query(
+    `
+    SELECT service_id, service_name, submodules
+    FROM knowledge.services
+    WHERE service_id = ?
+      AND deleted_date IS NULL
+    `,
+    [serviceId]
+  );
+
+  const service = result.recordset[0];
+  if (!service) return null;
+
+  return { ...service, submodules: JSON.parse(service.submodules || "[]") };
+}
+
+/**
+ * Error message when `submodule` is not defined for the service, else null
+ */
+export function submoduleError(service, submodule) {
+  if (submodule === SHARED_SUBMODULE || service.submodules.includes(submodule)) {
+    return null;
+  }
+
+  const allowed = [...service.submodules, SHARED_SUBMODULE].join(", ");
+  return `service_submodule '${submodule}' is not defined for service ` +
+    `'${service.service_name}' (allowed: ${allowed})`;
+}
+
+/**
+ * Validate a submodules array for a service definition
+ */
+export function submodulesListError(submodules) {
+  if (!Array.isArray(submodules)) {
+    return "submodules must be an array";
+  }
+
+  if (!submodules.every(s => typeof s === "string" && s.trim())) {
+    return "submodules must be non-empty strings";
+  }
+
+  if (new Set(submodules).size !== submodules.length) {
+    return "submodules must not contain duplicates";
+  }
+
+  return null;
+}
+
+/**
+ * Active documents per submodule, limited to `submodules` when given:
+ * [{ submodule, documents }]
+ */
+export async function countDocumentsBySubmodule(serviceId, submodules = null, query = queryDb) {
+  if (submodules && submodules.length === 0) {
+    return [];
+  }
+
+  const filter = submodules
+    ? `AND service_submodule IN (${submodules.map(() => "?").join(", ")})`
+    : "";
+
+  const result = await query(
+    `
+    SELECT service_submodule AS submodule, COUNT(*) AS documents
+    FROM knowledge.documents
+    WHERE service_id = ?
+      AND deleted_date IS NULL
+      ${filter}
+    GROUP BY service_submodule
+    ORDER BY service_submodule
+    `,
+    [serviceId, ...(submodules ?? [])]
+  );
+
+  return result.recordset;
+}
+
+/**
+ * Submodules dropped from a service definition that documents still use
+ */
+export async function submodulesInUse(serviceId, previous, next, query = queryDb) {
+  const removed = previous.filter(s => s !== SHARED_SUBMODULE && !next.includes(s));
+  return countDocumentsBySubmodule(serviceId, removed, query);
+}
+
+/**
+ * Cascade: soft-delete a service's active documents (only those in
+ * `submodules` when given), with a revision each. Run it with the `query` of
+ * the transaction that changes the service, so both commit together; once
+ * committed, pass the returned ids to removeDeletedDocuments.
+ */
+export async function softDeleteServiceDocuments(serviceId, { submodules = null, changedBy }, query) {
+  if (submodules && submodules.length === 0) {
+    return [];
+  }
+
+  const filter = submodules
+    ? `AND service_submodule IN (${submodules.map(() => "?").join(", ")})`
+    : "";
+
+  const result = await query(
+    `
+    UPDATE knowledge.documents
+    SET deleted_date = SYSDATETIME()
+    OUTPUT
+      deleted.document_id,
+      deleted.service_id,
+      deleted.service_submodule,
+      deleted.blob_directory,
+      deleted.page_from_inclusive,
+      deleted.page_to_inclusive,
+      deleted.page_to_skip
+    WHERE service_id = ?
+      AND deleted_date IS NULL
+      ${filter}
+    `,
+    [serviceId, ...(submodules ?? [])]
+  );
+
+  for (const doc of result.recordset) {
+    await recordRevision({
+      entityType: ENTITY_TYPES.DOCUMENT,
+      entityId: doc.document_id,
+      action: "delete",
+      before: snapshotOf(ENTITY_TYPES.DOCUMENT, doc),
+      after: null,
+      changedBy
+    }, query);
+  }
+
+  return result.recordset.map(doc => doc.document_id);
+}
+
+/**
+ * After a cascade commits: drop the documents from the text cache and
+ * search index
+ */
+export async function removeDeletedDocuments(serviceId, documentIds) {
+  for (const documentId of documentIds) {
+    await invalidateCachedText(documentId);
+
+    getSearchBackend()
+      .removeDocument(documentId)
+      .catch(err =>
+        console.error(`❌ Failed to remove document ${documentId} from search index:`, err)
+      );
+  }
+
+  if (documentIds.length > 0) {
+    console.log(`🧹 Cascade-deleted ${documentIds.length} document(s) of service ${serviceId}`);
+  }
+}
+
+/**
+ * Consistency report:
+ *  - orphaned_documents: active documents whose service is missing or deleted,
+ *    or whose submodule is not in the service definition
+ *  - uncovered_submodules: defined submodules without active documents
+ *    whose service has no `shared` documents to fall back to either
+ */
+export async function checkConsistency() {
+  const services = await queryDb(`
+    SELECT service_id, service_name, submodules
+    FROM knowledge.services
+    WHERE deleted_date IS NULL
+    ORDER BY service_name
+  `);
+
+  const documents = await queryDb(`
+    SELECT
+      d.document_id,
+      d.service_id,
+      d.service_submodule,
+      d.blob_directory,
+      s.service_name,
+      s.deleted_date AS service_deleted_date,
+      CASE WHEN s.service_id IS NULL THEN 0 ELSE 1 END AS service_exists
+    FROM knowledge.documents d
+    LEFT JOIN knowledge.services s
+      ON d.service_id = s.service_id
+    WHERE d.deleted_date IS NULL
+    ORDER BY d.service_id, d.service_submodule, d.document_id
+  `);
+
+  const activeServices = new Map(
+    services.recordset.map(s => [
+      s.service_id,
+      { ...s, submodules: JSON.parse(s.submodules || "[]") }
+    ])
+  );
+
+  const orphanedDocuments = [];
+  const submodulesWithDocuments = new Set();
+
+  for (const doc of documents.recordset) {
+    const service = activeServices.get(doc.service_id);
+    let reason = null;
+
+    if (!doc.service_exists) {
+      reason = "service_missing";
+    } else if (!service) {
+      reason = "service_deleted";
+    } else if (submoduleError(service, doc.service_submodule)) {
+      reason = "submodule_not_defined";
+    }
+
+    if (reason) {
+      orphanedDocuments.push({
+        document_id: doc.document_id,
+        service_id: doc.service_id,
+        service_name: doc.service_name ?? null,
+        service_submodule: doc.service_submodule,
+        blob_directory: doc.blob_directory,
+        reason
+      });
+      continue;
+    }
+
+    submodulesWithDocuments.add(`${doc.service_id}\u0000${doc.service_submodule}`);
+  }
+
+  const uncoveredSubmodules = [];
+
+  for (const service of activeServices.values()) {
+    const hasShared = submodulesWithDocuments.has(`${service.service_id}\u0000${SHARED_SUBMODULE}`);
+    if (hasShared) continue;
+
+    for (const submodule of service.submodules) {
+      if (!submodulesWithDocuments.has(`${service.service_id}\u0000${submodule}`)) {
+        uncoveredSubmodules.push({
+          service_id: service.service_id,
+          service_name: service.service_name,
+          submodule
+        });
+      }
+    }
+  }
+
+  return {
+    consistent: orphanedDocuments.length === 0 && uncoveredSubmodules.length === 0,
+    orphaned_documents: orphanedDocuments,
+    uncovered_submodules: uncoveredSubmodules
+  };
+}
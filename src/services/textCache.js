@@ -0,0 +1,83 @@
+// src/services/textCache.js
+
+import crypto from "crypto";
+import { config } from "../config.js";
+import { queryDb } from "../db.js";
+
+/**
+ * Build the cache key for a document's extracted text.
+ * Any change to the blob (ETag / last-modified), the page filter or
+ * the OCR setting produces a new key, so stale rows are never read back.
+ */
+export function buildCacheKey(blobUrl, version, pageConfig) {
+  const payload = JSON.stringify({
+    blobUrl,
+    etag: version.etag,
+    lastModified: version.lastModified,
+    fromPage: pageConfig.fromPage,
+    toPage: pageConfig.toPage,
+    skipPages: pageConfig.skipPages,
+    ocr: config.ocr.enabled
+  });
+
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+/**
+ * Return cached extracted text, or null on a miss
+ */
+export async function getCachedText(documentId, cacheKey) {
+  const result = await queryDb(
+    `
+    SELECT extracted_text
+    FROM knowledge.document_text_cache
+    WHERE document_id = ?
+      AND cache_key = ?
+    `,
+    [documentId, cacheKey]
+  );
+
+  if (result.recordset.length === 0) {
+    return null;
+  }
+
+  return result.recordset[0].extracted_text;
+}
+
+/**
+ * Store extracted text, replacing any older entry for the document
+ */
+export async function saveCachedText(documentId, cacheKey, entry) {
+  await queryDb(
+    `
+    DELETE FROM knowledge.document_text_cache
+    WHERE document_id = ?;
+
+    INSERT INTO knowledge.document_text_cache
+      (document_id, cache_key, blob_url, etag, page_filter, extracted_text, created_date)
+    VALUES (?, ?, ?, ?, ?, ?, SYSDATETIME());
+    `,
+    [
+      documentId,
+      documentId,
+      cacheKey,
+      entry.blobUrl,
+      entry.etag,
+      JSON.stringify(entry.pageConfig),
+      entry.text
+    ]
+  );
+}
+
+/**
+ * Drop every cached entry for a document
+ */
+export async function invalidateCachedText(documentId) {
+  await queryDb(
+    `
+    DELETE FROM knowledge.document_text_cache
+    WHERE document_id = ?
+    `,
+    [documentId]
+  );
+}
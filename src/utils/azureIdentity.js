@@ -0,0 +1,79 @@
+// src/utils/azureIdentity.js
+
+import { DefaultAzureCredential } from "@azure/identity";
+
+export const AZURE_SCOPES = {
+  openai: "https://cognitiveservices.azure.com/.default",
+  sql: "https://database.windows.net/.default",
+  storage: "https://storage.azure.com/.default",
+};
+
+// Refresh this long before expiry so in-flight requests never carry a stale token
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * One rule for every Azure client: `envVar` (true | false) decides when it
+ * is set, otherwise Managed Identity is used when NODE_ENV=production and
+ * keys / connection strings everywhere else
+ */
+export function useManagedIdentity(envVar) {
+  const value = process.env[envVar]?.trim();
+
+  if (value) {
+    return value === "true";
+  }
+
+  return process.env.NODE_ENV === "production";
+}
+
+let defaultCredential;
+const tokens = new Map(); // scope → AccessToken
+const pending = new Map(); // scope → Promise<AccessToken>
+
+function getDefaultCredential() {
+  if (!defaultCredential) {
+    console.log("🔐 Creating shared Managed Identity credential");
+    defaultCredential = new DefaultAzureCredential();
+  }
+  return defaultCredential;
+}
+
+function isFresh(token) {
+  return token && token.expiresOnTimestamp - Date.now() > REFRESH_MARGIN_MS;
+}
+
+/**
+ * Access token for one scope, reused until it is close to expiry.
+ * Concurrent callers share a single in-flight token request.
+ */
+export async function getAccessToken(scope, options) {
+  const cached = tokens.get(scope);
+  if (isFresh(cached)) {
+    return cached;
+  }
+
+  if (!pending.has(scope)) {
+    const request = getDefaultCredential()
+      .getToken(scope, options)
+      .then(token => {
+        tokens.set(scope, token);
+        return token;
+      })
+      .finally(() => pending.delete(scope));
+
+    pending.set(scope, request);
+  }
+
+  return pending.get(scope);
+}
+
+/**
+ * Shared TokenCredential for Azure SDK clients (Blob, …), backed by the
+ * same token cache as getAccessToken
+ */
+export const azureCredential = {
+  async getToken(scopes, options) {
+    const scope = Array.isArray(scopes) ? scopes[0] : scopes;
+    return getAccessToken(scope, options);
+  }
+};
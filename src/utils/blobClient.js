@@ -2,7 +2,7 @@
 import {
   BlobServiceClient
 } from "@azure/storage-blob";
-import { DefaultAzureCredential } from "@azure/identity";
+import { azureCredential } from "./azureIdentity.js";
 import { config } from "../config.js";
 
 const useMI = config.storage.useMI;
@@ -11,32 +11,46 @@ const containerName = config.storage.container;
 
 let blobServiceClient;
 
-if (useMI) {
-  console.log("[Blob] Using Managed Identity for authentication");
+/**
+ * Shared BlobServiceClient — Managed Identity when AZURE_STORAGE_USE_MI
+ * (or production, see useManagedIdentity), otherwise the connection string
+ */
+export const getBlobServiceClient = () => {
+  if (blobServiceClient) {
+    return blobServiceClient;
+  }
+
+  if (useMI) {
+    console.log("[Blob] Using Managed Identity for authentication");
 
-  const credential = new DefaultAzureCredential();
+    blobServiceClient = new BlobServiceClient(
+      `https://${accountName}.blob.core.windows.net`,
+      azureCredential
+    );
 
-  blobServiceClient = new BlobServiceClient(
-    `https://${accountName}.blob.core.windows.net`,
-    credential
-  );
+  } else {
+    console.log("[Blob] Using Connection String (local dev)");
 
-} else {
-  console.log("[Blob] Using Connection String (local dev)");
+    const connectionString = config.storage.connectionString;
 
-  const connectionString = config.storage.connectionString;
+    if (!connectionString) {
+      throw new Error("AZURE_STORAGE_CONNECTION_STRING is missing in .env");
+    }
 
-  if (!connectionString) {
-    throw new Error("AZURE_STORAGE_CONNECTION_STRING is missing in .env");
+    blobServiceClient = BlobServiceClient.fromConnectionString(connectionString);
   }
 
-  blobServiceClient = BlobServiceClient.fromConnectionString(connectionString);
-}
+  return blobServiceClient;
+};
 
 export const getContainer = () => {
-  return blobServiceClient.getContainerClient(containerName);
+  return getBlobServiceClient().getContainerClient(containerName);
 };
 
 export const getBlob = (blobName) => {
   return getContainer().getBlobClient(blobName);
 };
+
+export const getBlockBlob = (blobName) => {
+  return getContainer().getBlockBlobClient(blobName);
+};
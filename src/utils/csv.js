@@ -0,0 +1,107 @@
+// src/utils/csv.js
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep spreadsheet apps from evaluating cell content as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Serialize rows to CSV (header row from `columns`)
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCell).join(",")];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(","));
+  }
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse CSV (RFC 4180 quoting) into objects keyed by the header row.
+ * Undoes toCsv's formula guard, so exported files import unchanged.
+ * Each object gets its 1-based file line as `_line`.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    record.push(/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell);
+    cell = "";
+  };
+
+  const endRecord = () => {
+    endCell();
+    if (record.some(value => value !== "")) {
+      records.push({ values: record, line: recordLine });
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === "\"" && input[i + 1] === "\"") {
+        cell += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || record.length > 0) {
+    endRecord();
+  }
+
+  const [header, ...rows] = records;
+  if (!header) return [];
+
+  const columns = header.values.map(column => column.trim());
+
+  return rows.map(({ values, line: rowLine }) => {
+    const row = { _line: rowLine };
+    columns.forEach((column, index) => {
+      row[column] = values[index] ?? "";
+    });
+    return row;
+  });
+}
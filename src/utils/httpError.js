@@ -0,0 +1,15 @@
+// src/utils/httpError.js
+
+/**
+ * Error carrying the HTTP status a route should answer with.
+ * Anything else thrown inside a route is treated as a 500.
+ * `details` are extra response fields (e.g. `suggestions` on a 404).
+ */
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
@@ -0,0 +1,53 @@
+// src/utils/queryFilters.js
+
+import { HttpError } from "./httpError.js";
+
+/**
+ * Query-string helpers shared by the admin listing routes (logs, audit)
+ */
+
+/**
+ * Parse an optional ISO date filter; throws HttpError 400 when invalid
+ */
+export function parseDateFilter(value, name) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be an ISO date`);
+  }
+  return date;
+}
+
+/**
+ * Parse an optional integer filter; throws HttpError 400 when invalid
+ */
+export function parseIntegerFilter(value, name) {
+  if (value === undefined || value === "") return null;
+
+  const number = Number(value);
+  if (!Number.isSafeInteger(number)) {
+    throw new HttpError(400, `${name} must be an integer`);
+  }
+  return number;
+}
+
+/**
+ * LIKE pattern matching `text` literally anywhere (escapes %, _ and [)
+ */
+export function containsPattern(text) {
+  return `%${String(text).replace(/[[%_]/g, "[$&]")}%`;
+}
+
+/**
+ * ?page=1&page_size=50 → { page, pageSize, offset }, page_size capped at maxPageSize
+ */
+export function parsePagination(query, maxPageSize) {
+  const page = Math.max(Math.trunc(Number(query.page)) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(Math.trunc(Number(query.page_size)) || 50, 1),
+    maxPageSize
+  );
+
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
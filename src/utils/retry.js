@@ -6,6 +6,7 @@ export async function withRetry(fn, options = {}) {
     initialDelayMs = 1000,
     maxDelayMs = 8000,
     retryOn = [429, 500, 502, 503, 504],
+    onRetry, // ({ attempt, status, delayMs, error }) — e.g. to count retries
   } = options;
 
   let attempt = 0;
@@ -33,6 +34,8 @@ export async function withRetry(fn, options = {}) {
         `🔁 Retry ${attempt}/${retries} after ${delay}ms (status=${status})`
       );
 
+      onRetry?.({ attempt, status, delayMs: delay, error: err });
+
       await new Promise((r) => setTimeout(r, delay));
       delay = Math.min(delay * 2, maxDelayMs);
     }
@@ -0,0 +1,60 @@
+// src/utils/suggest.js
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// 0 = same, lower is closer; null when too different to suggest
+function closeness(input, label) {
+  if (label === input) return 0;
+  if (label.includes(input) || input.includes(label)) return 0.5;
+
+  const distance = editDistance(input, label);
+  const allowed = Math.max(2, Math.floor(Math.max(input.length, label.length) / 3));
+
+  return distance <= allowed ? distance : null;
+}
+
+/**
+ * Candidates close to `input` (case-insensitive), closest first, for
+ * "did you mean" hints. `labelsOf(candidate)` lists the strings a candidate
+ * is matched on (e.g. its name and display name).
+ */
+export function suggestNames(input, candidates, labelsOf = c => [c], limit = 3) {
+  const needle = String(input ?? "").trim().toLowerCase();
+  if (!needle) return [];
+
+  const scored = [];
+
+  for (const candidate of candidates) {
+    const scores = labelsOf(candidate)
+      .filter(label => typeof label === "string" && label.trim())
+      .map(label => closeness(needle, label.trim().toLowerCase()))
+      .filter(score => score !== null);
+
+    if (scores.length > 0) {
+      scored.push({ candidate, score: Math.min(...scores) });
+    }
+  }
+
+  return scored
+    .sort((x, y) => x.score - y.score)
+    .slice(0, limit)
+    .map(entry => entry.candidate);
+}
@@ -1,12 +1,42 @@
 export function validateStorageConfig(config) {
   if (config.storage.useMI) {
     if (config.storage.connectionString) {
-      console.warn("⚠ Ignoring AZURE_STORAGE_CONNECTION_STRING because AZURE_STORAGE_USE_MI=true");
+      console.warn("⚠ Ignoring AZURE_STORAGE_CONNECTION_STRING because Blob Storage uses Managed Identity");
     }
   } else {
     if (!config.storage.connectionString) {
-      console.error("❌ AZURE_STORAGE_CONNECTION_STRING is required when AZURE_STORAGE_USE_MI=false");
+      console.error("❌ AZURE_STORAGE_CONNECTION_STRING is required when Blob Storage does not use Managed Identity (AZURE_STORAGE_USE_MI=false or NODE_ENV is not production)");
       process.exit(1);
     }
   }
 }
+
+
+export function validateOcrConfig(config, bundledLanguage) {
+  if (!config.ocr.enabled || config.ocr.langPath) return;
+
+  // e.g. "eng+deu": every language but the bundled one needs OCR_LANG_PATH
+  const missing = config.ocr.language.split("+").filter(l => l !== bundledLanguage);
+
+  if (missing.length > 0) {
+    console.error(`❌ OCR_LANG_PATH is required for OCR_LANGUAGE=${config.ocr.language} (only '${bundledLanguage}' is bundled)`);
+    process.exit(1);
+  }
+}
+
+
+export function validateAuthConfig(config) {
+  if (config.auth.mode === "none") {
+    if (config.server.env === "production") {
+      console.error("❌ AUTH_MODE=none is not allowed in production");
+      process.exit(1);
+    }
+    console.warn(`⚠ Authentication disabled (AUTH_MODE=none) — all requests run as '${config.auth.devUser}'`);
+    return;
+  }
+
+  if (!config.auth.jwksUri && !config.auth.secret) {
+    console.error("❌ AUTH_JWKS_URI or AUTH_JWT_SECRET is required when AUTH_MODE=jwt");
+    process.exit(1);
+  }
+}
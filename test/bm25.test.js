@@ -0,0 +1,43 @@
+// test/bm25.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { tokenize, rankChunks } from "../src/services/bm25.js";
+
+
+test("tokenize lowercases, drops stopwords and keeps decimals", () => {
+  assert.deepEqual(tokenize("What is the Frequency 101.1 Hz?"), ["frequency", "101.1", "hz"]);
+  assert.deepEqual(tokenize(""), []);
+});
+
+
+test("rankChunks puts the chunk matching the rare term first", () => {
+  const chunks = [
+    { id: "a", text: "The radio has a volume knob and a tuner." },
+    { id: "b", text: "Frequency 101.1 Hz is used for relaxation programs." },
+    { id: "c", text: "The radio tuner can store presets." }
+  ];
+
+  const ranked = rankChunks(chunks, "What is 101.1 Hz used for?");
+
+  assert.equal(ranked[0].id, "b");
+  assert.ok(ranked[0].score > 0);
+  assert.equal(ranked.length, 3);
+  assert.deepEqual(ranked.slice(1).map(c => c.score), [0, 0]);
+});
+
+
+test("rankChunks keeps the original order on ties and does not mutate its input", () => {
+  const chunks = [
+    { id: "a", text: "tuner" },
+    { id: "b", text: "tuner" },
+    { id: "c", text: "knob" }
+  ];
+
+  const ranked = rankChunks(chunks, "tuner");
+
+  assert.deepEqual(ranked.map(c => c.id), ["a", "b", "c"]);
+  assert.equal(ranked[0].score, ranked[1].score);
+  assert.equal(chunks[0].score, undefined);
+});
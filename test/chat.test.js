@@ -0,0 +1,139 @@
+// test/chat.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { setResponder, calls } from "./support/fakeDb.js";
+import { startChatServer, signToken } from "./support/server.js";
+import { indexDocument } from "../src/services/searchService.js";
+import { config } from "../src/config.js";
+
+const DOCUMENT = {
+  document_id: 7,
+  service_id: 3,
+  service_submodule: "radio",
+  blob_directory: "https://test.blob.core.windows.net/documents/svc/radio/manual.pdf",
+  page_from_inclusive: null,
+  page_to_inclusive: null,
+  page_to_skip: null
+};
+
+const PAGES =
+  "The tuner stores 20 presets.\n--- END OF PAGE 1 (source: text) ---\n\n" +
+  "Frequency 101.1 Hz is used for relaxation programs.\n--- END OF PAGE 2 (source: text) ---\n";
+
+let server;
+
+before(async () => {
+  await indexDocument(DOCUMENT, PAGES);
+  server = await startChatServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  calls.length = 0;
+
+  setResponder(query => {
+    if (query.includes("FROM knowledge.services")) {
+      return { recordset: [{ service_id: 3, service_name: "svc", submodules: '["radio"]' }] };
+    }
+    if (query.includes("FROM knowledge.documents")) {
+      return { recordset: [DOCUMENT] };
+    }
+    if (query.includes("INSERT INTO chat.conversations")) {
+      return { recordset: [{ conversation_id: "c0ffee00-0000-0000-0000-000000000001" }] };
+    }
+    if (query.includes("INSERT INTO chat.logs")) {
+      return { recordset: [{ log_id: 42 }] };
+    }
+    return {};
+  });
+});
+
+async function postChat(path, body, username = "alice@example.com") {
+  return fetch(`${server.baseUrl}/api/chat${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${await signToken(username)}`
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+const QUESTION = { service: "svc", submodule: "radio", question: "What is 101.1 Hz used for?" };
+
+
+test("POST /api/chat answers from the indexed chunks with a citation", async () => {
+  const res = await postChat("", QUESTION);
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.answer, 'Mock answer to "What is 101.1 Hz used for?" [S1]');
+  assert.equal(body.log_id, 42);
+  assert.deepEqual(body.citations, [
+    { document_id: 7, blob_name: "svc/radio/manual.pdf", pages: [2], sources: ["S1"] }
+  ]);
+  assert.ok(calls.some(c => c.query.includes("INSERT INTO chat.logs")));
+});
+
+
+test("POST /api/chat/stream streams tokens and ends with done", async () => {
+  const res = await postChat("/stream", QUESTION);
+  const text = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = text
+    .split("\n\n")
+    .filter(Boolean)
+    .map(block => {
+      const [eventLine, dataLine] = block.split("\n");
+      return { event: eventLine.slice("event: ".length), data: JSON.parse(dataLine.slice("data: ".length)) };
+    });
+
+  const tokens = events.filter(e => e.event === "token").map(e => e.data.delta).join("");
+  const done = events.find(e => e.event === "done");
+
+  assert.equal(tokens, 'Mock answer to "What is 101.1 Hz used for?" [S1]');
+  assert.ok(done, "stream has a done event");
+  assert.equal(done.data.answer, tokens);
+  assert.deepEqual(done.data.citations.map(c => c.pages), [[2]]);
+});
+
+
+test("POST /api/chat rejects a request without a bearer token", async () => {
+  const res = await fetch(`${server.baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(QUESTION)
+  });
+
+  assert.equal(res.status, 401);
+});
+
+
+test("POST /api/chat returns 429 once the per-user request limit is used up", async () => {
+  const limit = config.quota.userRequestsPerMinute;
+  const username = "quota@example.com";
+
+  // Limits count per clock minute; do not straddle a window boundary
+  const msLeftInMinute = 60000 - (Date.now() % 60000);
+  if (msLeftInMinute < 3000) {
+    await new Promise(resolve => setTimeout(resolve, msLeftInMinute));
+  }
+
+  for (let i = 0; i < limit; i++) {
+    const res = await postChat("", QUESTION, username);
+    assert.equal(res.status, 200);
+  }
+
+  const res = await postChat("", QUESTION, username);
+  const body = await res.json();
+
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get("retry-after")) >= 1);
+  assert.ok(body.retry_after_seconds >= 1);
+});
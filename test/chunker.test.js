@@ -0,0 +1,67 @@
+// test/chunker.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { splitPages, pageSources, chunkDocument } from "../src/services/chunker.js";
+
+const DOC = { document_id: 5, blob_directory: "https://test.blob.core.windows.net/documents/a.pdf" };
+
+
+test("splitPages keeps page numbers and sources and drops empty pages", () => {
+  const text =
+    "First page.\n--- END OF PAGE 1 (source: text) ---\n\n" +
+    "\n--- END OF PAGE 2 (source: empty) ---\n\n" +
+    "Scanned page.\n--- END OF PAGE 3 (source: ocr) ---\n";
+
+  assert.deepEqual(splitPages(text), [
+    { page: 1, source: "text", text: "First page." },
+    { page: 3, source: "ocr", text: "Scanned page." }
+  ]);
+
+  assert.deepEqual([...pageSources(text)], [[1, "text"], [2, "empty"], [3, "ocr"]]);
+});
+
+
+test("splitPages reads markers without a source as text", () => {
+  assert.deepEqual(splitPages("Old cache.\n--- END OF PAGE 4 ---\ntrailing"), [
+    { page: 4, source: "text", text: "Old cache." },
+    { page: null, source: "text", text: "trailing" }
+  ]);
+});
+
+
+test("chunkDocument attributes chunks to their page", () => {
+  const chunks = chunkDocument(DOC, "Alpha.\n--- END OF PAGE 1 ---\nBeta.\n--- END OF PAGE 2 ---\n");
+
+  assert.deepEqual(chunks, [
+    { documentId: 5, blobDirectory: DOC.blob_directory, page: 1, source: "text", part: 0, text: "Alpha." },
+    { documentId: 5, blobDirectory: DOC.blob_directory, page: 2, source: "text", part: 0, text: "Beta." }
+  ]);
+});
+
+
+test("chunkDocument splits long pages into overlapping word windows", () => {
+  const words = Array.from({ length: 60 }, (_, i) => `word${i}`);
+  const chunks = chunkDocument(DOC, `${words.join(" ")}\n--- END OF PAGE 1 ---`, {
+    maxChars: 100,
+    overlapChars: 20
+  });
+
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.map(c => c.part), chunks.map((_, i) => i));
+
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= 100, `chunk of ${chunk.text.length} chars`);
+  }
+
+  // Each window starts with the tail of the previous one
+  for (let i = 1; i < chunks.length; i++) {
+    const firstWord = chunks[i].text.split(" ")[0];
+    assert.ok(chunks[i - 1].text.split(" ").includes(firstWord));
+  }
+
+  // No word is lost
+  const covered = new Set(chunks.flatMap(c => c.text.split(" ")));
+  assert.deepEqual(words.filter(w => !covered.has(w)), []);
+});
@@ -0,0 +1,38 @@
+// test/citations.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parseCitedSources,
+  stripSourceTags,
+  buildCitations
+} from "../src/services/citations.js";
+
+const BLOB = "https://test.blob.core.windows.net/documents/svc/radio/manual.pdf";
+
+
+test("parseCitedSources lists each cited source once, in order of first use", () => {
+  assert.deepEqual(parseCitedSources("A [S2]. B [S1, S2]. C [S3,S1]."), ["S2", "S1", "S3"]);
+  assert.deepEqual(parseCitedSources("No sources."), []);
+  assert.deepEqual(parseCitedSources(null), []);
+});
+
+
+test("stripSourceTags removes the tags with the space before them", () => {
+  assert.equal(stripSourceTags("Use preset 3 [S1]. Then save [S1, S2]."), "Use preset 3. Then save.");
+});
+
+
+test("buildCitations groups cited chunks by document and sorts pages", () => {
+  const selected = [
+    { sourceId: "S1", documentId: 7, blobDirectory: BLOB, page: 4 },
+    { sourceId: "S2", documentId: 9, blobDirectory: null, page: null },
+    { sourceId: "S3", documentId: 7, blobDirectory: BLOB, page: 2 }
+  ];
+
+  assert.deepEqual(buildCitations("X [S3] Y [S1, S2] Z [S4]", selected), [
+    { document_id: 7, blob_name: "svc/radio/manual.pdf", pages: [2, 4], sources: ["S3", "S1"] },
+    { document_id: 9, blob_name: null, pages: [], sources: ["S2"] }
+  ]);
+});
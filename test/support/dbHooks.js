@@ -0,0 +1,14 @@
+// test/support/dbHooks.js
+// Module resolve hook registered by setup.js
+
+const FAKE_DB_URL = new URL("./fakeDb.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+
+  if (resolved.url.endsWith("/src/db.js")) {
+    return { url: FAKE_DB_URL, shortCircuit: true };
+  }
+
+  return resolved;
+}
@@ -0,0 +1,32 @@
+// test/support/fakeDb.js
+// Stands in for src/db.js in tests: same exports, answers from a responder
+
+const EMPTY = { recordset: [], recordsets: [[]], rowsAffected: [0] };
+
+let responder = () => EMPTY;
+
+export const calls = [];
+
+/**
+ * Answer queries with `fn(sql, params)` → { recordset, rowsAffected } (partial is fine)
+ */
+export function setResponder(fn) {
+  responder = fn;
+}
+
+export async function queryDb(query, params = []) {
+  calls.push({ query, params });
+
+  const result = (await responder(query, params)) ?? {};
+  const recordset = result.recordset ?? [];
+
+  return {
+    recordset,
+    recordsets: [recordset],
+    rowsAffected: result.rowsAffected ?? [recordset.length]
+  };
+}
+
+export async function withTransaction(work) {
+  return work(queryDb);
+}
@@ -0,0 +1,38 @@
+// test/support/server.js
+
+import express from "express";
+import { SignJWT } from "jose";
+
+import chatRoute from "../../src/routes/chat.js";
+import { authenticate, ROLES } from "../../src/middleware/auth.js";
+
+/**
+ * The chat routes mounted as in server.js, listening on a free port.
+ * Resolves to { baseUrl, close }.
+ */
+export async function startChatServer() {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/chat", authenticate, chatRoute);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * HS256 bearer token signed with AUTH_JWT_SECRET
+ */
+export function signToken(username, roles = [ROLES.CHAT_USER]) {
+  return new SignJWT({ preferred_username: username, roles })
+    .setProtectedHeader({ alg: "HS256" })
+    .setSubject(username)
+    .setIssuedAt()
+    .setExpirationTime("5m")
+    .sign(new TextEncoder().encode(process.env.AUTH_JWT_SECRET));
+}
@@ -0,0 +1,31 @@
+// test/support/setup.js
+// Loaded with `node --import` before every test file (see the npm test script)
+
+import { register } from "node:module";
+
+// Offline providers and a fixed HS256 secret; set before config.js reads them
+// (dotenv never overrides variables that are already set)
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  LLM_PROVIDER: "mock",
+  SEARCH_BACKEND: "memory",
+  QUOTA_STORE: "memory",
+  QUOTA_USER_REQUESTS_PER_MINUTE: "3",
+  AUTH_MODE: "jwt",
+  AUTH_JWKS_URI: "",
+  AUTH_ISSUER: "",
+  AUTH_AUDIENCE: "",
+  AUTH_ROLE_MAP: "",
+  AUTH_JWT_SECRET: "test-secret-test-secret-test-secret",
+  AZURE_STORAGE_ACCOUNT: "test",
+  AZURE_STORAGE_CONTAINER: "documents",
+  OCR_ENABLED: "false"
+});
+
+// The app logs every step with console.log; keep the test report readable
+// (console.error still shows)
+console.log = () => {};
+console.warn = () => {};
+
+// src/db.js → test/support/fakeDb.js, so no SQL server is needed
+register("./dbHooks.js", import.meta.url);